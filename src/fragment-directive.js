@@ -0,0 +1,163 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import * as generationUtils from './fragment-generation-utils.js';
+import * as utils from './text-fragment-utils.js';
+
+/**
+ * A single text directive, as exposed by the proposed
+ * document.fragmentDirective API
+ * (https://github.com/WICG/scroll-to-text-fragment/blob/main/EXTENSIONS.md).
+ * Missing parts are represented by empty strings.
+ */
+export const TextDirective = class {
+  /**
+   * @param {TextFragment} textFragment - the parsed or generated fragment.
+   */
+  constructor(textFragment) {
+    this.type = 'text';
+    this.prefix = textFragment.prefix || '';
+    this.textStart = textFragment.textStart || '';
+    this.textEnd = textFragment.textEnd || '';
+    this.suffix = textFragment.suffix || '';
+  }
+
+  /**
+   * Serializes the directive, ready to be appended to a fragment directive,
+   * e.g. 'text=prefix-,start,end,-suffix'.
+   * @return {String}
+   */
+  toString() {
+    return `text=${utils.stringifyTextFragment(this)}`;
+  }
+};
+
+/**
+ * Implementation of document.fragmentDirective for browsers without native
+ * support. Besides passing feature detection, it exposes the directives of the
+ * current navigation and the ranges they matched, and allows creating new
+ * directives from a selection.
+ */
+export const FragmentDirective = class {
+  /**
+   * @param {Object} [options]
+   * @param {NormalizationOptions} [options.normalization] - the normalization
+   *     text directives are matched with, with which the directives created by
+   *     createSelectorDirective are unique.
+   * @param {WorkerTextMatcher} [options.matcher] - a matcher searching the
+   *     body of the document with that normalization, with which
+   *     createSelectorDirective checks candidate directives off the main
+   *     thread.
+   */
+  constructor({normalization, matcher} = {}) {
+    this.normalization = normalization;
+    this.matcher = matcher;
+    // The raw fragment directive of the current URL, i.e. the part after ':~:'.
+    this.directive = '';
+    // The valid text directives of the current URL, as TextDirective objects.
+    this.items = [];
+    // The ranges highlighted for the directives in |items|, in the same order,
+    // with null for the directives that didn't match anything. Matches
+    // spanning more than one shadow tree are StaticRanges.
+    this.ranges = [];
+  }
+
+  /**
+   * Replaces the directives of this object with the ones in |directive|, and
+   * forgets about the previously matched ranges.
+   * @param {String} directive - the fragment directive, without the leading
+   *     ':~:'.
+   */
+  setDirective(directive) {
+    this.directive = directive;
+    const parsedFragmentDirectives = utils.parseFragmentDirectives(
+        utils.getFragmentDirectives(`:~:${directive}`));
+    const textFragments = parsedFragmentDirectives['text'] || [];
+    this.items =
+        textFragments.map((textFragment) => new TextDirective(textFragment));
+    this.ranges = [];
+  }
+
+  /**
+   * Records the ranges highlighted for the current directives.
+   * @param {Element[][]} marksPerDirective - the marks created for each text
+   *     directive, as returned by processFragmentDirectives. Directives
+   *     highlighted with a custom highlight have their range instead, and the
+   *     ones without marks get a null range. With highlightAll, each directive
+   *     has the marks of each of its matches, and the first one is recorded.
+   * @param {Document} [documentToProcess] - the document containing the marks.
+   */
+  setMatches(marksPerDirective, documentToProcess = document) {
+    this.ranges = marksPerDirective.map((marks) => {
+      if (marks.length && Array.isArray(marks[0])) {
+        marks = marks[0];
+      }
+      if (!marks.length) {
+        return null;
+      }
+      if (utils.internal.isAbstractRange(marks[0])) {
+        return marks[0];
+      }
+      const range = new utils.internal.FlatTreeRange(documentToProcess);
+      range.setStartBefore(marks[0]);
+      range.setEndAfter(marks[marks.length - 1]);
+      return range.toRange();
+    });
+  }
+
+  /**
+   * Generates a text directive which uniquely identifies the given range or
+   * selection.
+   * @param {AbstractRange|Selection} rangeOrSelection
+   * @return {Promise<TextDirective>} - resolves with the new directive, or
+   *     rejects with an Error whose |status| property is the
+   *     GenerateFragmentStatus explaining why none could be generated.
+   */
+  createSelectorDirective(rangeOrSelection) {
+    // Duck-type instead of using instanceof, so ranges and selections from
+    // other frames are recognized too.
+    const isSelection = typeof rangeOrSelection.getRangeAt === 'function';
+    if (isSelection && rangeOrSelection.rangeCount === 0) {
+      return Promise.reject(makeGenerationError(
+          generationUtils.GenerateFragmentStatus.INVALID_SELECTION));
+    }
+    const range =
+        isSelection ? rangeOrSelection.getRangeAt(0) : rangeOrSelection;
+    return generationUtils
+        .generateFragmentFromRangeAsync(range, Date.now(), {
+          normalization: this.normalization,
+          matcher: this.matcher,
+        })
+        .then((result) => {
+          if (result.status !==
+              generationUtils.GenerateFragmentStatus.SUCCESS) {
+            throw makeGenerationError(result.status);
+          }
+          return new TextDirective(result.fragment);
+        });
+  }
+};
+
+/**
+ * @param {GenerateFragmentStatus} status - why generation failed.
+ * @return {Error} - an error carrying |status|.
+ */
+const makeGenerationError = (status) => {
+  const error =
+      new Error(`Could not create a text directive (status ${status})`);
+  error.status = status;
+  return error;
+};
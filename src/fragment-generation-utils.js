@@ -27,6 +27,14 @@ const MAX_DEPTH = 500;
 // Desired max run time, in ms. Can be overwritten.
 let timeoutDurationMs = 500;
 let t0;  // Start timestamp for fragment generation
+// Index of the text of the document, shared by all the searches done while
+// generating fragments. See getTextIndex.
+let textIndex;
+// Timeout disconnecting |textIndex| once generation is idle.
+let textIndexIdleTimeoutId;
+
+// How long the text index is kept after its last use, in ms.
+const TEXT_INDEX_IDLE_TIMEOUT_MS = 1000;
 
 /**
  * Allows overriding the max runtime to specify a different interval. Fragment
@@ -45,7 +53,8 @@ export const GenerateFragmentStatus = {
   INVALID_SELECTION: 1,  // The selection provided could not be used.
   AMBIGUOUS: 2,  // No unique fragment could be identified for this selection.
   TIMEOUT: 3,    // Computation could not complete in time.
-  EXECUTION_FAILED: 4  // An exception was raised during generation.
+  EXECUTION_FAILED: 4,  // An exception was raised during generation.
+  ABORTED: 5,           // The signal passed in the options was aborted.
 };
 
 /**
@@ -61,26 +70,48 @@ export const GenerateFragmentStatus = {
  *     window.getSelection
  * @param {Date} [startTime] - the time when generation began, for timeout
  *     purposes. Defaults to current timestamp.
+ * @param {Object} [options]
+ * @param {NormalizationOptions} [options.normalization] - the normalization
+ *     the fragment will be matched with, so that it's unique when compared
+ *     e.g. case-sensitively. The default one by default.
+ * @param {AbortSignal} [options.signal] - stops generation, which then
+ *     returns the ABORTED status.
  * @return {GenerateFragmentResult}
  */
-export const generateFragment = (selection, startTime = Date.now()) => {
-  return doGenerateFragment(selection, startTime);
-};
+export const generateFragment =
+    (selection, startTime = Date.now(), {normalization, signal} = {}) => {
+      try {
+        return doGenerateFragment(selection, startTime, normalization, signal);
+      } catch (err) {
+        if (signal != null && signal.aborted) {
+          return {status: GenerateFragmentStatus.ABORTED};
+        }
+        throw err;
+      }
+    };
 
 /**
  * Attampts to generate a fragment using a given range. @see {@link generateFragment}
  *
- * @param {Range} range
+ * @param {AbstractRange} range - the range to identify. It isn't modified.
  * @param {Date} [startTime] - the time when generation began, for timeout
  *     purposes. Defaults to current timestamp.
+ * @param {Object} [options]
+ * @param {NormalizationOptions} [options.normalization] - the normalization
+ *     the fragment will be matched with. @see {@link generateFragment}
+ * @param {AbortSignal} [options.signal] - stops generation, which then
+ *     returns the ABORTED status.
  * @return {GenerateFragmentResult}
  */
 export const generateFragmentFromRange =
-    (range, startTime = Date.now()) => {
+    (range, startTime = Date.now(), {normalization, signal} = {}) => {
       try {
-        return doGenerateFragmentFromRange(range, startTime);
+        return doGenerateFragmentFromRange(
+            range, startTime, normalization, signal);
       } catch (err) {
-        if (err.isTimeout) {
+        if (signal != null && signal.aborted) {
+          return {status: GenerateFragmentStatus.ABORTED};
+        } else if (err.isTimeout) {
           return {status: GenerateFragmentStatus.TIMEOUT};
         } else {
           return {status: GenerateFragmentStatus.EXECUTION_FAILED};
@@ -88,6 +119,70 @@ export const generateFragmentFromRange =
       }
     }
 
+/**
+ * Like generateFragmentFromRange, but has |options.matcher| check whether
+ * candidate fragments are unique, so that the many searches this takes are
+ * done by its worker rather than on the main thread.
+ *
+ * @param {AbstractRange} range - the range to identify. It isn't modified.
+ * @param {Date} [startTime] - the time when generation began, for timeout
+ *     purposes. Defaults to current timestamp. The time spent waiting for the
+ *     worker counts too.
+ * @param {Object} [options]
+ * @param {NormalizationOptions} [options.normalization] - the normalization
+ *     the fragment will be matched with. @see {@link generateFragment}
+ * @param {WorkerTextMatcher} [options.matcher] - a matcher searching the body
+ *     of the range's document with the same normalization. Without one, or if
+ *     its worker fails, candidates are checked on the main thread, as in
+ *     generateFragmentFromRange.
+ * @param {AbortSignal} [options.signal] - stops generation, which then
+ *     resolves with the ABORTED status.
+ * @return {Promise<GenerateFragmentResult>}
+ */
+export const generateFragmentFromRangeAsync = async (
+    range, startTime = Date.now(), {normalization, matcher, signal} = {}) => {
+  try {
+    const candidates = generateCandidateFragments(range, normalization, signal);
+    let isUnique;
+    for (;;) {
+      // Other fragments may have been generated while waiting for the worker,
+      // each recording its own start time.
+      recordStartTime(startTime);
+      const step = candidates.next(isUnique);
+      if (step.done) {
+        return step.value;
+      }
+      const {fragment, documentToProcess} = step.value;
+      let matches;
+      if (matcher != null && matcher.root === documentToProcess.body &&
+          fragments.internal.isSameNormalization(
+              matcher.normalization, normalization)) {
+        try {
+          matches = await matcher.findMatches(
+              fragment, {limit: 2, distinctMatches: false, signal: signal});
+        } catch (err) {
+          // If the worker failed, the candidate is checked on the main thread.
+          fragments.internal.throwIfAborted(signal);
+        }
+      }
+      if (matches != null) {
+        isUnique = matches.length === 1;
+      } else {
+        isUnique = isUniquelyIdentifying(
+            fragment, documentToProcess, normalization, signal);
+      }
+    }
+  } catch (err) {
+    if (signal != null && signal.aborted) {
+      return {status: GenerateFragmentStatus.ABORTED};
+    } else if (err.isTimeout) {
+      return {status: GenerateFragmentStatus.TIMEOUT};
+    } else {
+      return {status: GenerateFragmentStatus.EXECUTION_FAILED};
+    }
+  }
+};
+
 /**
  * Checks whether fragment generation can be attempted for a given range. This
  * checks a handful of simple conditions: the range must be nonempty, not inside
@@ -120,8 +215,9 @@ export const isValidRangeForFragmentGeneration = (range) => {
     return false;
   }
 
-  // Walk up the DOM to ensure that the range isn't inside an editable. Limit
-  // the search depth to |MAX_DEPTH| to constrain runtime.
+  // Walk up the flat tree to ensure that the range isn't inside an editable,
+  // even from within a shadow root. Limit the search depth to |MAX_DEPTH| to
+  // constrain runtime.
   let node = range.commonAncestorContainer;
   let numIterations = 0;
   while (node) {
@@ -142,7 +238,7 @@ export const isValidRangeForFragmentGeneration = (range) => {
         return false;
       }
     }
-    node = node.parentNode;
+    node = fragments.internal.getFlatTreeParent(node);
   }
 
   return true;
@@ -151,6 +247,8 @@ export const isValidRangeForFragmentGeneration = (range) => {
 /**
  * @param {Selection} selection
  * @param {Date} startTime
+ * @param {NormalizationOptions} [normalization]
+ * @param {AbortSignal} [signal]
  * @return {GenerateFragmentResult}
  * @see {@link generateFragment} - this method wraps the error-throwing portions
  *     of that method.
@@ -158,7 +256,7 @@ export const isValidRangeForFragmentGeneration = (range) => {
  *     timeout length.
  */
 const doGenerateFragment =
-    (selection, startTime) => {
+    (selection, startTime, normalization, signal) => {
       let range;
       try {
         range = selection.getRangeAt(0);
@@ -166,16 +264,63 @@ const doGenerateFragment =
         return {status: GenerateFragmentStatus.INVALID_SELECTION};
       }
 
-      return doGenerateFragmentFromRange(range, startTime);
+      return doGenerateFragmentFromRange(
+          range, startTime, normalization, signal);
     }
 /**
- * @param {Range} range
+ * @param {AbstractRange} range - the range to generate a fragment for.
  * @param {Date} startTime
+ * @param {NormalizationOptions} [normalization]
+ * @param {AbortSignal} [signal]
  * @return {GenerateFragmentResult}
  * @see {@link doGenerateFragment}
  */
-const doGenerateFragmentFromRange = (range, startTime) => {
-  recordStartTime(startTime);
+const doGenerateFragmentFromRange =
+    (range, startTime, normalization, signal) => {
+      recordStartTime(startTime);
+      const candidates =
+          generateCandidateFragments(range, normalization, signal);
+      let step = candidates.next();
+      while (!step.done) {
+        const {fragment, documentToProcess} = step.value;
+        step = candidates.next(isUniquelyIdentifying(
+            fragment, documentToProcess, normalization, signal));
+      }
+      return step.value;
+    };
+
+/**
+ * @typedef {Object} CandidateFragment
+ * @property {TextFragment} fragment - a fragment which identifies the range,
+ *     if it's unique.
+ * @property {Document} documentToProcess - the document of the range.
+ */
+
+/**
+ * Builds longer and longer fragments identifying |range|, until one of them
+ * is unique. Checking whether a candidate is unique is left to the caller, so
+ * that it can be done synchronously or not: each candidate is yielded, and
+ * the caller passes back whether it's uniquely identifying.
+ * @param {AbstractRange} range - the range to generate a fragment for. It
+ *     isn't modified; word boundaries and context are looked for on a copy of
+ *     it.
+ * @param {NormalizationOptions} [normalization]
+ * @param {AbortSignal} [signal] - checked along with the timeout.
+ * @yield {CandidateFragment}
+ * @return {GenerateFragmentResult}
+ * @throws {Error} - Will throw if computation takes longer than the accepted
+ *     timeout length, or the reason of |signal| once it's aborted.
+ */
+function* generateCandidateFragments(range, normalization, signal) {
+  fragments.internal.throwIfAborted(signal);
+  // Word boundaries and context are looked for in the flat tree, across
+  // shadow boundaries, on a FlatTreeRange copy of ranges which can't be used
+  // for that.
+  range = fragments.internal.isNativeRangeInShadowFreeTree(range) ?
+      range.cloneRange() :
+      fragments.internal.toFlatTreeRange(range);
+  // The range may come from a same-origin iframe.
+  const documentToProcess = range.startContainer.ownerDocument;
   expandRangeStartToWordBound(range);
   expandRangeEndToWordBound(range);
   // Keep a copy of the range before we try to shrink it to make it start and
@@ -195,14 +340,15 @@ const doGenerateFragmentFromRange = (range, startTime) => {
   let factory;
 
   if (canUseExactMatch(range)) {
-    const exactText = fragments.internal.normalizeString(range.toString());
+    const exactText = fragments.internal.normalizeGeneratedText(
+        range.toString(), normalization);
     const fragment = {
       textStart: exactText,
     };
     // If the exact text is long enough to be used on its own, try this and skip
     // the longer process below.
     if (exactText.length >= MIN_LENGTH_WITHOUT_CONTEXT &&
-        isUniquelyIdentifying(fragment)) {
+        (yield {fragment: fragment, documentToProcess: documentToProcess})) {
       return {
         status: GenerateFragmentStatus.SUCCESS,
         fragment: fragment,
@@ -232,8 +378,8 @@ const doGenerateFragmentFromRange = (range, startTime) => {
     }
   }
 
-  const prefixRange = document.createRange();
-  prefixRange.selectNodeContents(document.body);
+  const prefixRange = range.cloneRange();
+  prefixRange.selectNodeContents(documentToProcess.body);
   const suffixRange = prefixRange.cloneRange();
 
   prefixRange.setEnd(
@@ -248,14 +394,17 @@ const doGenerateFragmentFromRange = (range, startTime) => {
     factory.setPrefixAndSuffixSearchSpace(prefixSearchSpace, suffixSearchSpace);
   }
 
-  factory.useSegmenter(fragments.internal.makeNewSegmenter());
+  factory.useSegmenter(fragments.internal.makeNewSegmenter(documentToProcess))
+      .useDocument(documentToProcess)
+      .useNormalization(normalization);
 
   let didEmbiggen = false;
   do {
     checkTimeout();
+    fragments.internal.throwIfAborted(signal);
     didEmbiggen = factory.embiggen();
-    const fragment = factory.tryToMakeUniqueFragment();
-    if (fragment != null) {
+    const fragment = factory.makeFragment();
+    if (yield {fragment: fragment, documentToProcess: documentToProcess}) {
       return {
         status: GenerateFragmentStatus.SUCCESS,
         fragment: fragment,
@@ -264,7 +413,7 @@ const doGenerateFragmentFromRange = (range, startTime) => {
   } while (didEmbiggen);
 
   return {status: GenerateFragmentStatus.AMBIGUOUS};
-};
+}
 
 /**
  * @throws {Error} - if the timeout duration has been exceeded, an error will
@@ -314,7 +463,8 @@ const getSearchSpaceForStart = (range) => {
   // If the range starts after the last child of an element node
   // don't visit its subtree because it's not included in the range.
   if (range.startContainer.nodeType === Node.ELEMENT_NODE &&
-      range.startOffset === range.startContainer.childNodes.length) {
+      fragments.internal.getFlatTreeChildAfterOffset(
+          range.startContainer, range.startOffset) == null) {
     finishedSubtrees.add(range.startContainer);
   }
   const origin = node;
@@ -325,7 +475,7 @@ const getSearchSpaceForStart = (range) => {
     checkTimeout();
     // Depending on whether |node| is an ancestor of the start of our
     // search, we use either its leading or trailing edge as our start.
-    if (node.contains(origin)) {
+    if (fragments.internal.isFlatTreeInclusiveAncestor(node, origin)) {
       tempRange.setStartAfter(node);
     } else {
       tempRange.setStartBefore(node);
@@ -377,7 +527,7 @@ const getSearchSpaceForEnd = (range) => {
     checkTimeout();
     // Depending on whether |node| is an ancestor of the start of our
     // search, we use either its leading or trailing edge as our end.
-    if (node.contains(origin)) {
+    if (fragments.internal.isFlatTreeInclusiveAncestor(node, origin)) {
       tempRange.setEnd(node, 0);
     } else {
       tempRange.setEndAfter(node);
@@ -425,6 +575,9 @@ const FragmentFactory = class {
     this.suffixSearchSpace = '';
 
     this.numIterations = 0;
+
+    this.documentToProcess = document;
+    this.normalization = undefined;
   }
 
   /**
@@ -434,31 +587,48 @@ const FragmentFactory = class {
    *     uniquely identifying, or undefined if the current state is ambiguous.
    */
   tryToMakeUniqueFragment() {
+    const fragment = this.makeFragment();
+    return isUniquelyIdentifying(
+               fragment, this.documentToProcess, this.normalization) ?
+        fragment :
+        undefined;
+  }
+
+  /**
+   * Builds a fragment from the current state, without checking whether it
+   * uniquely identifies the target text.
+   * @return {TextFragment}
+   */
+  makeFragment() {
     let fragment;
+    // Invisible formatting chars, like soft hyphens, are left out of the
+    // fragment, since they're ignored when matching it.
+    const toTerm = (text) =>
+        fragments.internal.removeInvisibleChars(text).trim();
     if (this.mode === this.Mode.CONTEXT_ONLY) {
       fragment = {textStart: this.exactTextMatch};
     } else {
       fragment = {
         textStart:
-            this.getStartSearchSpace().substring(0, this.startOffset).trim(),
-        textEnd: this.getEndSearchSpace().substring(this.endOffset).trim(),
+            toTerm(this.getStartSearchSpace().substring(0, this.startOffset)),
+        textEnd: toTerm(this.getEndSearchSpace().substring(this.endOffset)),
       };
     }
     if (this.prefixOffset != null) {
       const prefix =
-          this.getPrefixSearchSpace().substring(this.prefixOffset).trim();
+          toTerm(this.getPrefixSearchSpace().substring(this.prefixOffset));
       if (prefix) {
         fragment.prefix = prefix;
       }
     }
     if (this.suffixOffset != null) {
       const suffix =
-          this.getSuffixSearchSpace().substring(0, this.suffixOffset).trim();
+          toTerm(this.getSuffixSearchSpace().substring(0, this.suffixOffset));
       if (suffix) {
         fragment.suffix = suffix;
       }
     }
-    return isUniquelyIdentifying(fragment) ? fragment : undefined;
+    return fragment;
   }
 
   /**
@@ -796,6 +966,30 @@ const FragmentFactory = class {
     return this;
   }
 
+  /**
+   * Sets the document in which candidate fragments must be unique, the current
+   * one by default.
+   * @param {Document} documentToProcess
+   * @return {FragmentFactory} - returns |this| to allow call chaining and
+   *     assignment
+   */
+  useDocument(documentToProcess) {
+    this.documentToProcess = documentToProcess;
+    return this;
+  }
+
+  /**
+   * Sets the normalization with which candidate fragments must be unique, the
+   * default one by default.
+   * @param {NormalizationOptions} [normalization]
+   * @return {FragmentFactory} - returns |this| to allow call chaining and
+   *     assignment
+   */
+  useNormalization(normalization) {
+    this.normalization = normalization;
+    return this;
+  }
+
   /**
    * @return {number} - how many words should be added to the prefix and suffix
    *     when embiggening. This changes depending on the current state of the
@@ -1112,11 +1306,50 @@ const BlockTextAccumulator = class {
 
 /**
  * @param {TextFragment} fragment - the candidate fragment
+ * @param {Document} [documentToProcess] - the document to search.
+ * @param {NormalizationOptions} [normalization] - how the fragment is matched.
+ * @param {AbortSignal} [signal] - stops the search.
  * @return {boolean} - true iff the candidate fragment identifies exactly one
  *     portion of the document.
  */
-const isUniquelyIdentifying = (fragment) => {
-  return fragments.processTextFragmentDirective(fragment).length === 1;
+const isUniquelyIdentifying =
+    (fragment, documentToProcess = document, normalization, signal) => {
+      const matches = fragments.processTextFragmentDirective(
+          fragment, documentToProcess, documentToProcess.body, {
+            textIndex: getTextIndex(documentToProcess, normalization),
+            normalization: normalization,
+            signal: signal,
+          });
+      return matches.length === 1;
+    };
+
+/**
+ * Generation checks many candidate fragments, each of them searching the whole
+ * document, so the text of the document is indexed once and reused, even
+ * across calls to generateFragment made shortly after each other. The index
+ * keeps itself up to date when the document changes, which costs something on
+ * every change, so it's disconnected and dropped once it hasn't been used for
+ * TEXT_INDEX_IDLE_TIMEOUT_MS.
+ * @param {Document} [documentToProcess] - the document to index.
+ * @param {NormalizationOptions} [normalization] - how the text is normalized.
+ * @return {DocumentTextIndex} - the index of the text of the document's body.
+ */
+const getTextIndex = (documentToProcess = document, normalization) => {
+  if (textIndex == null || textIndex.root !== documentToProcess.body ||
+      !fragments.internal.isSameNormalization(
+          textIndex.normalization, normalization)) {
+    if (textIndex != null) {
+      textIndex.disconnect();
+    }
+    textIndex = new fragments.DocumentTextIndex(
+        documentToProcess.body, {normalization: normalization});
+  }
+  window.clearTimeout(textIndexIdleTimeoutId);
+  textIndexIdleTimeoutId = window.setTimeout(() => {
+    textIndex.disconnect();
+    textIndex = undefined;
+  }, TEXT_INDEX_IDLE_TIMEOUT_MS);
+  return textIndex;
 };
 
 /**
@@ -1150,12 +1383,16 @@ const canUseExactMatch = (range) => {
  */
 const getFirstNodeForBlockSearch = (range) => {
   // Get a handle on the first node inside the range. For text nodes, this
-  // is the start container; for element nodes, we use the offset to find
-  // where it actually starts.
-  let node = range.startContainer;
-  if (node.nodeType == Node.ELEMENT_NODE &&
-      range.startOffset < node.childNodes.length) {
-    node = node.childNodes[range.startOffset];
+  // is the start container; for element nodes and shadow roots, we use the
+  // offset to find the flat tree child where it actually starts.
+  const node = range.startContainer;
+  if (node.nodeType == Node.ELEMENT_NODE ||
+      node.nodeType == Node.DOCUMENT_FRAGMENT_NODE) {
+    const child =
+        fragments.internal.getFlatTreeChildAfterOffset(node, range.startOffset);
+    if (child != null) {
+      return child;
+    }
   }
   return node;
 };
@@ -1168,11 +1405,17 @@ const getFirstNodeForBlockSearch = (range) => {
  */
 const getLastNodeForBlockSearch = (range) => {
   // Get a handle on the last node inside the range. For text nodes, this
-  // is the end container; for element nodes, we use the offset to find
-  // where it actually ends. If the offset is 0, the node itself is returned.
-  let node = range.endContainer;
-  if (node.nodeType == Node.ELEMENT_NODE && range.endOffset > 0) {
-    node = node.childNodes[range.endOffset - 1];
+  // is the end container; for element nodes and shadow roots, we use the
+  // offset to find the flat tree child where it actually ends. If the offset
+  // is 0, the node itself is returned.
+  const node = range.endContainer;
+  if (node.nodeType == Node.ELEMENT_NODE ||
+      node.nodeType == Node.DOCUMENT_FRAGMENT_NODE) {
+    const child =
+        fragments.internal.getFlatTreeChildBeforeOffset(node, range.endOffset);
+    if (child != null) {
+      return child;
+    }
   }
   return node;
 };
@@ -1317,9 +1560,9 @@ const findWordEndBoundInTextNode = (node, endOffset) => {
  * @param {Node|Undefined} endNode - optional; if included, the root of the
  *     walker will be chosen to ensure it can traverse at least as far as this
  *     node.
- * @return {TreeWalker} - a TreeWalker, rooted in a block ancestor of |node|,
- *     currently pointing to |node|, which will traverse only visible text and
- *     element nodes.
+ * @return {TreeWalker|FlatTreeWalker} - a TreeWalker, rooted in a block
+ *     ancestor of |node| in the flat tree, currently pointing to |node|, which
+ *     will traverse only visible text and element nodes.
  */
 const makeWalkerForNode = (node, endNode) => {
   if (!node) {
@@ -1330,13 +1573,16 @@ const makeWalkerForNode = (node, endNode) => {
   // will be used as the root of the tree walker.
   let blockAncestor = node;
   const endNodeNotNull = endNode != null ? endNode : node;
-  while (!blockAncestor.contains(endNodeNotNull) || !isBlock(blockAncestor)) {
-    if (blockAncestor.parentNode) {
-      blockAncestor = blockAncestor.parentNode;
+  while (!fragments.internal.isFlatTreeInclusiveAncestor(
+             blockAncestor, endNodeNotNull) ||
+         !isBlock(blockAncestor)) {
+    const parent = fragments.internal.getFlatTreeParent(blockAncestor);
+    if (parent) {
+      blockAncestor = parent;
     }
   }
 
-  const walker = document.createTreeWalker(
+  const walker = fragments.internal.createFlatTreeWalker(
       blockAncestor, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, (node) => {
         return fragments.internal.acceptNodeIfVisibleInRange(node);
       });
@@ -1352,7 +1598,8 @@ const makeWalkerForNode = (node, endNode) => {
  * @param {Range} range - the range to be modified
  */
 const expandRangeStartToWordBound = (range) => {
-  const segmenter = fragments.internal.makeNewSegmenter();
+  const segmenter =
+      fragments.internal.makeNewSegmenter(range.startContainer.ownerDocument);
   if (segmenter) {
     // Find the starting text node and offset (since the range may start with a
     // non-text node).
@@ -1396,7 +1643,8 @@ const expandRangeStartToWordBound = (range) => {
       // If |node| is a block node, then we've hit a block boundary, which
       // counts as a word boundary.
       if (isBlock(node)) {
-        if (node.contains(range.startContainer)) {
+        if (fragments.internal.isFlatTreeInclusiveAncestor(
+                node, range.startContainer)) {
           // If the selection starts inside |node|, then the correct range
           // boundary is the *leading* edge of |node|.
           range.setStart(node, 0);
@@ -1604,7 +1852,7 @@ const getTextNodesInSameBlock = (node) => {
   if (node.nodeType === Node.TEXT_NODE) {
     innerNodes.push(node);
   } else {
-    const walker = document.createTreeWalker(
+    const walker = fragments.internal.createFlatTreeWalker(
         node, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, (node) => {
           return fragments.internal.acceptNodeIfVisibleInRange(node);
         });
@@ -1648,7 +1896,8 @@ const getTextNodesInSameBlock = (node) => {
  * @param {Range} range - the range to be modified
  */
 const expandRangeEndToWordBound = (range) => {
-  const segmenter = fragments.internal.makeNewSegmenter();
+  const segmenter =
+      fragments.internal.makeNewSegmenter(range.endContainer.ownerDocument);
   if (segmenter) {
     // Find the ending text node and offset (since the range may end with a
     // non-text node).
@@ -1663,9 +1912,9 @@ const expandRangeEndToWordBound = (range) => {
 
     let node = range.endContainer;
     if (node.nodeType === Node.ELEMENT_NODE) {
-      if (range.endOffset < node.childNodes.length) {
-        node = node.childNodes[range.endOffset];
-      }
+      node = fragments.internal.getFlatTreeChildAfterOffset(
+                 node, range.endOffset) ||
+          node;
     }
 
     const walker = makeWalkerForNode(node);
@@ -1692,7 +1941,8 @@ const expandRangeEndToWordBound = (range) => {
       // If |node| is a block node, then we've hit a block boundary, which
       // counts as a word boundary.
       if (isBlock(node)) {
-        if (node.contains(range.endContainer)) {
+        if (fragments.internal.isFlatTreeInclusiveAncestor(
+                node, range.endContainer)) {
           // If the selection starts inside |node|, then the correct range
           // boundary is the *trailing* edge of |node|.
           range.setEnd(node, node.childNodes.length);
@@ -22,7 +22,176 @@
  * @property {string} [suffix]
  */
 
-const FRAGMENT_DIRECTIVES = ['text'];
+/**
+ * @typedef {Object} DirectiveHandler
+ * @property {function(string): {status: FragmentDirectiveStatus, parsed: *}}
+ *     parse - decodes the raw value of a directive (the part after 'type=').
+ *     |parsed| must be set if, and only if, status is VALID.
+ * @property {function(*, Document, Element, MatchOptions): *} match - searches
+ *     |root| for a parsed directive. Returns whatever |highlight| needs to
+ *     highlight it, or null if the directive doesn't match anything. The match
+ *     is passed to |highlight| as is, so its shape is up to the handler: the
+ *     'text' handler returns the matching Range, and the 'selector' handler
+ *     the matching Element.
+ * @property {function(*, Document, Element, MatchOptions): Array} [matchAll] -
+ *     like |match|, but returns every match, in document order, each of the
+ *     same shape as the ones |match| returns. Used when highlighting all
+ *     matches; handlers without it highlight at most one.
+ * @property {function(*, Document, HighlightOptions): Array} highlight -
+ *     highlights a match returned by |match| or |matchAll|, and returns the
+ *     elements involved, or the ranges added to a custom highlight.
+ * @property {boolean} [functionalSyntax] - true if directives of this type are
+ *     written as 'type(value)', like the selector directive, rather than
+ *     'type=value'.
+ */
+
+/**
+ * How text is normalized before being compared. The default options fold case
+ * the same way for every language and remove diacritics, so that e.g. 'Édith'
+ * and 'edith' match.
+ * @typedef {Object} NormalizationOptions
+ * @property {boolean} [caseSensitive] - if true, case is significant. False
+ *     by default.
+ * @property {boolean} [stripDiacritics] - if false, diacritics are
+ *     significant, e.g. for Vietnamese or Czech text. True by default.
+ * @property {string} [locale] - the locale whose rules are used to fold case,
+ *     e.g. 'tr' for the Turkish dotted and dotless i. By default, the rules
+ *     don't depend on the language.
+ */
+
+/**
+ * Options shared by the functions searching the document.
+ * @typedef {Object} MatchOptions
+ * @property {DocumentTextIndex} [textIndex] - an index of the text of the
+ *     root, used instead of walking the DOM for every search. It's only used
+ *     if it was built with the same normalization.
+ * @property {NormalizationOptions} [normalization] - how the text of the
+ *     directives and of the document is normalized before being compared.
+ * @property {number} [fuzzyMinScore] - if set, text directives that don't
+ *     match exactly are matched approximately instead (see findFuzzyMatch), as
+ *     long as the match scores at least this much.
+ * @property {AbortSignal} [signal] - stops the search, which then throws the
+ *     reason of the signal.
+ */
+
+/**
+ * Options of the highlighting of matches.
+ * @typedef {Object} HighlightOptions
+ * @property {boolean} [customHighlight] - if true, text matches are
+ *     highlighted by adding their range to the TEXT_FRAGMENT_HIGHLIGHT_NAME
+ *     highlight of the CSS Custom Highlight API, which doesn't change the DOM,
+ *     where the browser supports it. They're wrapped in <mark> elements
+ *     otherwise.
+ * @property {boolean} [overlay] - if true, text matches that aren't added to
+ *     a custom highlight are highlighted by boxes drawn over the page by an
+ *     OverlayHighlight, which doesn't change the content of the page either,
+ *     instead of being wrapped in <mark> elements.
+ * @property {MarkFactory} [createMark] - creates the elements wrapping text
+ *     matches, instead of createDefaultMark.
+ */
+
+/**
+ * Creates an element to wrap part of the text of a match in, e.g. to choose
+ * its tag name or to add attributes to it. The element must be empty: markRange
+ * moves the text into it, and removeMarks moves the text back out of it and
+ * removes it. Without the TEXT_FRAGMENT_CSS_CLASS_NAME class, ::target-text
+ * rules don't apply to it.
+ * @typedef {function(Document, MarkDetails): Element} MarkFactory
+ */
+
+/**
+ * What a MarkFactory is creating an element for.
+ * @typedef {Object} MarkDetails
+ * @property {boolean} isStart - true for the first element of the match.
+ * @property {boolean} isEnd - true for the last element of the match. Both are
+ *     true when the match is within a single text node.
+ * @property {number} [directiveIndex] - the index of the directive among the
+ *     text directives processed, when marked by processFragmentDirectives.
+ */
+
+/**
+ * Handlers for the supported directive types, keyed by type. Types missing
+ * from here are reported as UNKNOWN_DIRECTIVE and otherwise ignored.
+ * @type {Map<string, DirectiveHandler>}
+ */
+const directiveHandlers = new Map([
+  [
+    'text',
+    {
+      parse: (value) => parseTextDirectiveValue(value),
+      match: (textFragment, documentToProcess, root, options) => {
+        // Per spec, the first matching text on the page should be highlighted
+        // when multiple segments match.
+        const range = processTextFragmentDirective(
+            textFragment, documentToProcess, root, options)[0];
+        if (range != null) {
+          return range;
+        }
+        return findFuzzyMatchIfEnabled(
+            textFragment, documentToProcess, root, options);
+      },
+      matchAll: (textFragment, documentToProcess, root, options) => {
+        const ranges =
+            findAllMatches(textFragment, options, documentToProcess, root);
+        if (ranges.length) {
+          return ranges;
+        }
+        const fuzzyMatch = findFuzzyMatchIfEnabled(
+            textFragment, documentToProcess, root, options);
+        return fuzzyMatch != null ? [fuzzyMatch] : [];
+      },
+      highlight: (range, documentToProcess, {
+        customHighlight = false,
+        overlay = false,
+        createMark,
+      } = {}) => {
+        if (customHighlight && supportsCustomHighlights(documentToProcess)) {
+          getTextFragmentHighlight(documentToProcess).add(range);
+          return [range];
+        }
+        if (overlay) {
+          getTextFragmentOverlay(documentToProcess).add(range);
+          return [range];
+        }
+        const marks = markRange(range, documentToProcess, createMark);
+        // Let pages tell approximate matches apart, e.g. to style them.
+        const score = fuzzyMatchScores.get(range);
+        if (score != null) {
+          for (const mark of marks) {
+            mark.setAttribute(FUZZY_MATCH_SCORE_ATTRIBUTE, score.toFixed(2));
+          }
+        }
+        return marks;
+      },
+    },
+  ],
+  [
+    'selector',
+    {
+      parse: (value) => parseSelectorDirectiveValue(value),
+      match: (selectorFragment, documentToProcess, root) => {
+        if (!isValidSelector(selectorFragment.value, documentToProcess)) {
+          return null;
+        }
+        return root.querySelector(selectorFragment.value);
+      },
+      matchAll: (selectorFragment, documentToProcess, root) => {
+        if (!isValidSelector(selectorFragment.value, documentToProcess)) {
+          return [];
+        }
+        return Array.from(root.querySelectorAll(selectorFragment.value));
+      },
+      highlight: (element) => {
+        element.classList.add(TARGET_ELEMENT_CSS_CLASS_NAME);
+        return [element];
+      },
+      functionalSyntax: true,
+    },
+  ]
+]);
+
+// Separates the fragment directive from the rest of the URL fragment.
+const FRAGMENT_DIRECTIVE_DELIMITER = ':~:';
 
 // Block elements. elements of a text fragment cannot cross the boundaries of a
 // block element. Source for the list:
@@ -55,28 +224,198 @@ const NON_BOUNDARY_CHARS =
 export const TEXT_FRAGMENT_CSS_CLASS_NAME =
     'text-fragments-polyfill-target-text';
 
+/**
+ * Name under which text fragments are registered with the CSS Custom
+ * Highlight API, i.e. the one to style with ::highlight(text-fragment).
+ */
+export const TEXT_FRAGMENT_HIGHLIGHT_NAME = 'text-fragment';
+
+/**
+ * CSS class name of the element holding the boxes drawn by OverlayHighlight.
+ * The boxes themselves have the TEXT_FRAGMENT_CSS_CLASS_NAME class.
+ */
+export const TEXT_FRAGMENT_OVERLAY_CSS_CLASS_NAME =
+    'text-fragments-polyfill-overlay';
+
+/**
+ * Attribute set on the `<mark>` elements of approximate matches, holding their
+ * score.
+ */
+export const FUZZY_MATCH_SCORE_ATTRIBUTE = 'data-text-fragment-score';
+
+/**
+ * Minimum score of approximate matches when none is specified.
+ */
+export const DEFAULT_FUZZY_MIN_SCORE = 0.8;
+
+/**
+ * How many times PersistentHighlights looks for a text fragment again, when no
+ * limit is specified.
+ */
+export const DEFAULT_MAX_REANCHORS = 5;
+
+/**
+ * How long waitForTextFragmentMatch waits for matching text when no timeout is
+ * specified, in ms.
+ */
+export const DEFAULT_MATCH_RETRY_TIMEOUT_MS = 5000;
+
+/**
+ * CSS class name added to elements matched by a selector directive.
+ */
+export const TARGET_ELEMENT_CSS_CLASS_NAME =
+    'text-fragments-polyfill-target-element';
+
+/**
+ * Enum indicating the result of parsing a single directive of a fragment
+ * directive.
+ */
+export const FragmentDirectiveStatus = {
+  VALID: 0,               // The directive was parsed successfully.
+  MALFORMED_ENCODING: 1,  // Percent-decoding the directive failed.
+  EMPTY_TEXT_START: 2,    // A text directive has no textStart.
+  UNKNOWN_DIRECTIVE: 3,   // The directive type isn't supported.
+  INVALID_SYNTAX: 4,      // The directive doesn't follow the grammar.
+};
+
+/**
+ * @typedef {Object} FragmentDirectiveToken
+ * @property {string} type - the directive type, e.g. 'text'.
+ * @property {string} value - the raw (still percent-encoded) directive value.
+ * @property {FragmentDirectiveStatus} status - whether the directive could be
+ *     parsed, or why it couldn't.
+ * @property {*} [parsed] - the decoded directive, e.g. a TextFragment for text
+ *     directives. Only set if status is VALID.
+ * @property {number} start - offset of the first character of the directive in
+ *     the tokenized string.
+ * @property {number} end - offset right after the last character of the
+ *     directive in the tokenized string.
+ */
+
+/**
+ * Adds support for a new directive type, or replaces the handler of an
+ * existing one (including 'text'). Once registered, directives of this type are
+ * parsed, matched and highlighted like text directives by the functions below.
+ * @param {string} type - the directive type, i.e. the part before '='.
+ * @param {DirectiveHandler} handler
+ */
+export const registerDirective = (type, handler) => {
+  if (!type || /[=&]/.test(type)) {
+    throw new Error(`Invalid directive type: ${type}`);
+  }
+  directiveHandlers.set(type, handler);
+};
+
+/**
+ * Removes support for a directive type added with registerDirective.
+ * @param {string} type - the directive type.
+ * @return {boolean} - true if the type was registered.
+ */
+export const unregisterDirective = (type) => {
+  return directiveHandlers.delete(type);
+};
+
+/**
+ * Splits the fragment directive contained in a hash into its directives,
+ * following
+ * https://wicg.github.io/scroll-to-text-fragment/#parsing-the-fragment-directive.
+ * Unlike the rest of the parsing functions, invalid directives are not dropped
+ * but reported with a status explaining why they can't be used.
+ * @param {string} hash - string retrieved from Location#hash.
+ * @return {FragmentDirectiveToken[]} One token per non-empty directive, in the
+ *     order they appear in |hash|.
+ */
+export const tokenizeFragmentDirective = (hash) => {
+  const delimiterIndex = hash.indexOf(FRAGMENT_DIRECTIVE_DELIMITER);
+  if (delimiterIndex === -1) {
+    return [];
+  }
+
+  const tokens = [];
+  let position = delimiterIndex + FRAGMENT_DIRECTIVE_DELIMITER.length;
+  for (const directive of hash.substring(position).split('&')) {
+    // Empty directives (e.g., from a trailing '&') are ignored per spec.
+    if (directive) {
+      tokens.push(tokenizeDirective(directive, position));
+    }
+    position += directive.length + 1;
+  }
+  return tokens;
+};
+
+/**
+ * Parses a single directive of a fragment directive.
+ * @param {string} directive - the directive, e.g. 'text=foo,bar'.
+ * @param {number} position - offset of |directive| in the tokenized string.
+ * @return {FragmentDirectiveToken}
+ */
+const tokenizeDirective = (directive, position) => {
+  // Directives are written either as 'type=value' or as 'type(value)'.
+  const functionalMatch = directive.match(/^([^=(]+)\((.*)\)$/);
+  const separatorIndex = directive.indexOf('=');
+  const token = {start: position, end: position + directive.length};
+  if (functionalMatch) {
+    token.type = functionalMatch[1];
+    token.value = functionalMatch[2];
+  } else {
+    token.type = separatorIndex === -1 ? directive :
+                                         directive.substring(0, separatorIndex);
+    token.value =
+        separatorIndex === -1 ? '' : directive.substring(separatorIndex + 1);
+  }
+
+  const handler = directiveHandlers.get(token.type);
+  if (!handler) {
+    token.status = FragmentDirectiveStatus.UNKNOWN_DIRECTIVE;
+    return token;
+  }
+
+  const hasExpectedSyntax = handler.functionalSyntax ?
+      functionalMatch != null :
+      functionalMatch == null && separatorIndex !== -1;
+  if (!hasExpectedSyntax) {
+    token.status = FragmentDirectiveStatus.INVALID_SYNTAX;
+    return token;
+  }
+
+  const result = handler.parse(token.value);
+  token.status = result.status;
+  if (result.parsed) {
+    token.parsed = result.parsed;
+  }
+  return token;
+};
+
 /**
  * Get all text fragments from a string
  * @param {string} hash - string retrieved from Location#hash.
- * @return {{text: string[]}} Text Fragments contained in the hash.
+ * @return {Object<string, string[]>} The raw values of the directives contained
+ *     in the hash, keyed by type, e.g. {text: ['foo']}. Directives that can't
+ *     be parsed are left out.
  */
 export const getFragmentDirectives = (hash) => {
-  const fragmentDirectivesStrings =
-      hash.replace(/#.*?:~:(.*?)/, '$1').split(/&?text=/).filter(Boolean);
-  if (!fragmentDirectivesStrings.length) {
-    return {};
-  } else {
-    return {text: fragmentDirectivesStrings};
+  const fragmentDirectives = {};
+  for (const token of tokenizeFragmentDirective(hash)) {
+    if (token.status !== FragmentDirectiveStatus.VALID) {
+      continue;
+    }
+    if (!fragmentDirectives[token.type]) {
+      fragmentDirectives[token.type] = [];
+    }
+    fragmentDirectives[token.type].push(token.value);
   }
+  return fragmentDirectives;
 };
 
 /**
  * Decompose text fragment strings into objects, describing each part of each
- * text fragment.
- * @param {{text: string[]}} fragmentDirectives - Text fragment to decompose
- *     into separate elements.
- * @return {{text: TextFragment[]}} Text Fragments, each containing textStart,
- *     textEnd, prefix and suffix.
+ * text fragment. Directives of other registered types are decoded by their
+ * handler.
+ * @param {Object<string, string[]>} fragmentDirectives - Text fragment to
+ *     decompose into separate elements.
+ * @return {Object<string, Array>} Parsed directives, keyed by type. Text
+ *     Fragments contain textStart, textEnd, prefix and suffix. Directives that
+ *     can't be parsed are left out.
  */
 export const parseFragmentDirectives = (fragmentDirectives) => {
   const parsedFragmentDirectives = {};
@@ -84,11 +423,16 @@ export const parseFragmentDirectives = (fragmentDirectives) => {
            [fragmentDirectiveType,
             fragmentDirectivesOfType,
   ] of Object.entries(fragmentDirectives)) {
-    if (FRAGMENT_DIRECTIVES.includes(fragmentDirectiveType)) {
+    const handler = directiveHandlers.get(fragmentDirectiveType);
+    if (handler) {
       parsedFragmentDirectives[fragmentDirectiveType] =
-          fragmentDirectivesOfType.map((fragmentDirectiveOfType) => {
-            return parseTextFragmentDirective(fragmentDirectiveOfType);
-          });
+          fragmentDirectivesOfType
+              .map((fragmentDirectiveOfType) => {
+                return handler.parse(fragmentDirectiveOfType).parsed;
+              })
+              .filter((parsedFragmentDirective) => {
+                return parsedFragmentDirective != null;
+              });
     }
   }
   return parsedFragmentDirectives;
@@ -98,47 +442,310 @@ export const parseFragmentDirectives = (fragmentDirectives) => {
  * Decompose a string into an object containing all the parts of a text
  * fragment.
  * @param {string} textFragment - String to decompose.
- * @return {TextFragment} Object containing textStart, textEnd, prefix and
- *     suffix of the text fragment.
+ * @return {TextFragment|null} Object containing textStart, textEnd, prefix and
+ *     suffix of the text fragment, or null if |textFragment| isn't a valid text
+ *     directive value.
  */
 const parseTextFragmentDirective = (textFragment) => {
-  const TEXT_FRAGMENT = /^(?:(.+?)-,)?(?:(.+?))(?:,([^-]+?))?(?:,-(.+?))?$/;
+  return parseTextDirectiveValue(textFragment).parsed || null;
+};
+
+/**
+ * Decompose the value of a text directive, following
+ * https://wicg.github.io/scroll-to-text-fragment/#parse-a-text-directive.
+ * @param {string} value - the part of the directive after 'text='.
+ * @return {{status: FragmentDirectiveStatus, parsed: (TextFragment|undefined)}}
+ *     The parsed text fragment if status is VALID.
+ */
+const parseTextDirectiveValue = (value) => {
+  const tokens = value.split(',');
+  if (tokens.length > 4) {
+    return {status: FragmentDirectiveStatus.INVALID_SYNTAX};
+  }
+
+  // A leading token ending in '-' is the prefix, and a trailing token starting
+  // with '-' is the suffix. Whatever remains must be textStart and, optionally,
+  // textEnd.
+  const prefix = tokens[0].endsWith('-') ? tokens.shift().slice(0, -1) : null;
+  const suffix = tokens.length && tokens[tokens.length - 1].startsWith('-') ?
+      tokens.pop().substring(1) :
+      null;
+
+  if (!tokens.length || !tokens[0]) {
+    return {status: FragmentDirectiveStatus.EMPTY_TEXT_START};
+  }
+  if (tokens.length > 2 || tokens[1] === '') {
+    return {status: FragmentDirectiveStatus.INVALID_SYNTAX};
+  }
+
+  try {
+    return {
+      status: FragmentDirectiveStatus.VALID,
+      parsed: {
+        prefix: decodeURIComponent(prefix || ''),
+        textStart: decodeURIComponent(tokens[0]),
+        textEnd: decodeURIComponent(tokens[1] || ''),
+        suffix: decodeURIComponent(suffix || ''),
+      },
+    };
+  } catch (err) {
+    if (err instanceof URIError) {
+      return {status: FragmentDirectiveStatus.MALFORMED_ENCODING};
+    }
+    throw err;
+  }
+};
+
+/**
+ * @typedef {Object} SelectorFragment
+ * @property {string} type - the kind of selector. Only 'CssSelectorSelector' is
+ *     supported.
+ * @property {string} value - the decoded selector.
+ */
+
+/**
+ * Decompose the value of a selector directive, as described in
+ * https://github.com/WICG/scroll-to-text-fragment/blob/main/EXTENSIONS.md.
+ * @param {string} value - the part of the directive between the parentheses of
+ *     'selector(...)', e.g. 'type=CssSelectorSelector,value=img%5Balt%5D'.
+ * @return {{status: FragmentDirectiveStatus,
+ *     parsed: (SelectorFragment|undefined)}} The parsed selector fragment if
+ *     status is VALID.
+ */
+const parseSelectorDirectiveValue = (value) => {
+  const params = new Map();
+  for (const param of value.split(',')) {
+    const separatorIndex = param.indexOf('=');
+    if (separatorIndex === -1) {
+      return {status: FragmentDirectiveStatus.INVALID_SYNTAX};
+    }
+    params.set(
+        param.substring(0, separatorIndex),
+        param.substring(separatorIndex + 1));
+  }
+  if (params.get('type') !== 'CssSelectorSelector' || !params.get('value')) {
+    return {status: FragmentDirectiveStatus.INVALID_SYNTAX};
+  }
+
+  let selector;
+  try {
+    selector = decodeURIComponent(params.get('value'));
+  } catch (err) {
+    if (err instanceof URIError) {
+      return {status: FragmentDirectiveStatus.MALFORMED_ENCODING};
+    }
+    throw err;
+  }
+
+  // Reject selectors the browser can't parse now, where there is a document to
+  // parse them with, e.g. not in a worker. They're checked again against the
+  // target document when matching.
+  if (typeof document !== 'undefined' && !isValidSelector(selector, document)) {
+    return {status: FragmentDirectiveStatus.INVALID_SYNTAX};
+  }
   return {
-    prefix: decodeURIComponent(textFragment.replace(TEXT_FRAGMENT, '$1')),
-    textStart: decodeURIComponent(textFragment.replace(TEXT_FRAGMENT, '$2')),
-    textEnd: decodeURIComponent(textFragment.replace(TEXT_FRAGMENT, '$3')),
-    suffix: decodeURIComponent(textFragment.replace(TEXT_FRAGMENT, '$4')),
+    status: FragmentDirectiveStatus.VALID,
+    parsed: {type: 'CssSelectorSelector', value: selector},
   };
 };
 
 /**
- * Mark the text fragments with `<mark>` tags.
- * @param {{text: TextFragment[]}} parsedFragmentDirectives - Text fragments to
- *     process.
+ * @param {string} selector
+ * @param {Document} documentToProcess - the document whose parser to use.
+ * @return {boolean} - true if |selector| is a valid CSS selector.
+ */
+const isValidSelector = (selector, documentToProcess) => {
+  try {
+    documentToProcess.createDocumentFragment().querySelector(selector);
+  } catch {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Serializes a text fragment into the value of a text directive. This is the
+ * inverse of parsing: the result, prepended with 'text=', round-trips through
+ * parseFragmentDirectives.
+ * @param {TextFragment} fragment - the text fragment to serialize. textStart
+ *     must be non-empty.
+ * @return {string} The directive value, e.g.
+ *     'prefix-,textStart,textEnd,-suffix' with every part percent-encoded.
+ * @throws {Error} - if textStart is missing or empty, since the parser would
+ *     reject the directive.
+ */
+export const stringifyTextFragment = (fragment) => {
+  if (!fragment.textStart) {
+    throw new Error('A text fragment needs a non-empty textStart.');
+  }
+  const parts = [];
+  if (fragment.prefix) {
+    parts.push(`${encodeTextDirectivePart(fragment.prefix)}-`);
+  }
+  parts.push(encodeTextDirectivePart(fragment.textStart));
+  if (fragment.textEnd) {
+    parts.push(encodeTextDirectivePart(fragment.textEnd));
+  }
+  if (fragment.suffix) {
+    parts.push(`-${encodeTextDirectivePart(fragment.suffix)}`);
+  }
+  return parts.join(',');
+};
+
+/**
+ * Builds a URL that highlights the given text fragments once opened. Any
+ * element id already in the URL fragment is kept, and any existing fragment
+ * directive is replaced.
+ * @param {string|URL} baseUrl - the URL of the page containing the fragments.
+ * @param {TextFragment[]} fragments - the text fragments to link to.
+ * @return {string} The URL, with a fragment directive containing one text
+ *     directive per fragment.
+ * @throws {Error} - if one of the fragments has no textStart.
+ */
+export const buildTextFragmentUrl = (baseUrl, fragments) => {
+  const url = String(baseUrl);
+  const hashIndex = url.indexOf('#');
+  const urlWithoutHash = hashIndex === -1 ? url : url.substring(0, hashIndex);
+  let hash = hashIndex === -1 ? '' : url.substring(hashIndex + 1);
+
+  const delimiterIndex = hash.indexOf(FRAGMENT_DIRECTIVE_DELIMITER);
+  if (delimiterIndex !== -1) {
+    hash = hash.substring(0, delimiterIndex);
+  }
+
+  if (fragments.length) {
+    hash += FRAGMENT_DIRECTIVE_DELIMITER +
+        fragments.map((fragment) => `text=${stringifyTextFragment(fragment)}`)
+            .join('&');
+  }
+  return hash ? `${urlWithoutHash}#${hash}` : urlWithoutHash;
+};
+
+/**
+ * Percent-encodes a part of a text directive. On top of what
+ * encodeURIComponent escapes, '-' must be escaped too since it marks the
+ * prefix and suffix.
+ * @param {string} part - the prefix, textStart, textEnd or suffix to encode.
+ * @return {string} The encoded part.
+ */
+const encodeTextDirectivePart = (part) => {
+  return encodeURIComponent(part).replace(/-/g, '%2D');
+};
+
+/**
+ * Mark the text fragments with `<mark>` tags. Directives of other registered
+ * types are matched and highlighted by their handler.
+ * @param {Object<string, Array>} parsedFragmentDirectives - Text fragments to
+ *     process, keyed by directive type.
  * @param {Document} documentToProcess - document where to extract and mark
  *     fragments in.
  * @param {Element=} root - the root element where to extract and mark
  *     fragments in.
- * @return {{text: Element[][]}} `<mark>` elements created to highlight the
- *     text fragments.
+ * @param {Object} [options]
+ * @param {boolean} [options.highlightAll] - highlight every match of each
+ *     directive, instead of only the first one.
+ * @param {DocumentTextIndex} [options.textIndex] - an index of the text of
+ *     |root|, to search instead of the DOM.
+ * @param {number} [options.fuzzyMinScore] - if set, text directives that
+ *     don't match exactly are highlighted where they match approximately, as
+ *     long as the match scores at least this much. See findFuzzyMatch.
+ * @param {boolean} [options.searchIframes] - if true, directives without a
+ *     match in |root| are looked for in the documents of the visible
+ *     same-origin iframes inside it, and their iframes, in document order.
+ *     With highlightAll, the matches in all of these documents are
+ *     highlighted. Cross-origin iframes are skipped.
+ * @param {NormalizationOptions} [options.normalization] - how the text of text
+ *     directives and of the document is normalized before being compared. By
+ *     default, case and diacritics are ignored.
+ * @param {AbortSignal} [options.signal] - stops processing the directives.
+ *     The ones already processed stay highlighted.
+ * @param {boolean} [options.customHighlight] - if true, and the browser
+ *     supports the CSS Custom Highlight API, text fragments are highlighted
+ *     without changing the DOM. See HighlightOptions.
+ * @param {boolean} [options.overlay] - if true, text fragments which aren't
+ *     added to a custom highlight are highlighted by boxes drawn over the page
+ *     instead of <mark> elements. See HighlightOptions.
+ * @param {MarkFactory} [options.createMark] - creates the elements wrapping
+ *     the text of text fragments, which it's told the index of.
+ * @return {Object<string, Element[][]>} `<mark>` elements created to highlight
+ *     the text fragments, keyed by directive type. With highlightAll, each
+ *     directive gets one array of elements per match instead, so the result
+ *     is an Element[][][] for each type. Text fragments highlighted with a
+ *     custom highlight or an overlay get their ranges instead of elements.
+ *     They can all be removed with removeHighlights.
+ * @throws {*} - the reason of |options.signal|, if it's aborted.
  */
 export const processFragmentDirectives =
     (parsedFragmentDirectives, documentToProcess = document,
-     root = document.body) => {
+     root = document.body, {
+       highlightAll = false,
+       textIndex,
+       fuzzyMinScore,
+       searchIframes = false,
+       normalization,
+       signal,
+       customHighlight = false,
+       overlay = false,
+       createMark,
+     } = {}) => {
+      throwIfAborted(signal);
+      const searchTargets = [{
+        document: documentToProcess,
+        root: root,
+        options: {
+          textIndex: textIndex,
+          fuzzyMinScore: fuzzyMinScore,
+          normalization: normalization,
+          signal: signal,
+        },
+      }];
+      if (searchIframes) {
+        // |textIndex| only covers |root|.
+        for (const frameDocument of getSameOriginFrameDocuments(root)) {
+          searchTargets.push({
+            document: frameDocument,
+            root: frameDocument.body,
+            options: {
+              fuzzyMinScore: fuzzyMinScore,
+              normalization: normalization,
+              signal: signal,
+            },
+          });
+        }
+      }
       const processedFragmentDirectives = {};
       for (const
                [fragmentDirectiveType,
                 fragmentDirectivesOfType,
       ] of Object.entries(parsedFragmentDirectives)) {
-        if (FRAGMENT_DIRECTIVES.includes(fragmentDirectiveType)) {
+        const handler = directiveHandlers.get(fragmentDirectiveType);
+        if (handler) {
           processedFragmentDirectives[fragmentDirectiveType] =
-              fragmentDirectivesOfType.map((fragmentDirectiveOfType) => {
-                const result = processTextFragmentDirective(
-                    fragmentDirectiveOfType, documentToProcess, root);
-                if (result.length >= 1) {
-                  // Per spec, the first matching text on the page should be
-                  // highlighted when multiple segments match.
-                  return markRange(result[0], documentToProcess);
+              fragmentDirectivesOfType.map((fragmentDirectiveOfType, i) => {
+                throwIfAborted(signal);
+                const highlightOptions = {
+                  customHighlight: customHighlight,
+                  overlay: overlay,
+                  createMark: withDirectiveIndex(createMark, i),
+                };
+                if (highlightAll) {
+                  return searchTargets.flatMap((target) => {
+                    const matches = findAllDirectiveMatches(
+                        handler, fragmentDirectiveOfType, target.document,
+                        target.root, target.options);
+                    return matches.map(
+                        (match) => handler.highlight(
+                            match, target.document, highlightOptions));
+                  });
+                }
+                for (const target of searchTargets) {
+                  const match = handler.match(
+                      fragmentDirectiveOfType, target.document, target.root,
+                      target.options);
+                  if (match != null) {
+                    return handler.highlight(
+                        match, target.document, highlightOptions);
+                  }
                 }
                 return [];
               });
@@ -148,59 +755,793 @@ export const processFragmentDirectives =
     };
 
 /**
- * Searches the document for a given text fragment.
- *
- * @param {TextFragment} textFragment - Text Fragment to highlight.
+ * Removes the highlights of processed directives, whichever way they were
+ * made: <mark> elements are unwrapped, elements matched by a selector
+ * directive lose their highlighting class, and ranges are taken out of the
+ * custom highlight or the overlay they were added to.
+ * @param {Object<string, Array>} processedFragmentDirectives - the result of
+ *     processFragmentDirectives or processFragmentDirectivesAsync.
+ * @param {Document} [documentToProcess] - document where the directives were
+ *     processed.
+ */
+export const removeHighlights =
+    (processedFragmentDirectives, documentToProcess = document) => {
+      removeMarks(
+          Object.values(processedFragmentDirectives).flat(Infinity),
+          documentToProcess);
+    };
+
+/**
+ * @param {MarkFactory} [createMark]
+ * @param {number} directiveIndex
+ * @return {MarkFactory|undefined} - |createMark|, telling it that the elements
+ *     are created for the directive at |directiveIndex|.
+ */
+const withDirectiveIndex = (createMark, directiveIndex) => {
+  if (createMark == null) {
+    return undefined;
+  }
+  return (documentToProcess, details) => createMark(
+             documentToProcess, {...details, directiveIndex: directiveIndex});
+};
+
+/**
+ * How long processFragmentDirectivesAsync and DocumentTextIndex#updateInSlices
+ * work before yielding to the event loop, in ms.
+ */
+const SLICE_DURATION_MS = 10;
+
+/**
+ * The longest a task yielding with requestIdleCallback waits before
+ * continuing, in ms, in case the page is never idle.
+ */
+const IDLE_CALLBACK_TIMEOUT_MS = 50;
+
+/**
+ * Like processFragmentDirectives, but without blocking the main thread for long
+ * on large pages: the text of |root| is indexed a slice of blocks at a time,
+ * and each directive is then processed in a task of its own, yielding to the
+ * event loop in between.
+ * @param {Object<string, Array>} parsedFragmentDirectives - Text fragments to
+ *     process, keyed by directive type.
  * @param {Document} documentToProcess - document where to extract and mark
  *     fragments in.
  * @param {Element=} root - the root element where to extract and mark
  *     fragments in.
- * @return {Range[]} - Zero or more ranges within the document corresponding
- *     to the fragment. If the fragment corresponds to more than one location
- *     in the document (i.e., is ambiguous) then the first two matches will be
- *     returned (regardless of how many more matches there may be in the
- *     document).
+ * @param {Object} [options] - the options of processFragmentDirectives, and:
+ * @param {AbortSignal} [options.signal] - stops processing the directives.
+ *     The highlights of the ones already processed are then removed.
+ * @param {WorkerTextMatcher} [options.matcher] - if it searches |root| with
+ *     the same normalization, text directives are searched by its worker
+ *     instead of on the main thread, and |root| isn't indexed.
+ * @return {Promise<Object<string, Element[][]>>} - resolves with the same
+ *     result as processFragmentDirectives, or rejects with the reason of
+ *     |options.signal| if it's aborted. Nothing is left highlighted when it
+ *     rejects.
  */
+export const processFragmentDirectivesAsync = async (
+    parsedFragmentDirectives, documentToProcess = document,
+    root = document.body, options = {}) => {
+  const {signal, textIndex, normalization, matcher} = options;
+  throwIfAborted(signal);
+  const useMatcher = matcher != null && matcher.root === root &&
+      isSameNormalization(matcher.normalization, normalization);
+  const ownsIndex = !useMatcher &&
+      (textIndex == null ||
+       !isSameNormalization(textIndex.normalization, normalization));
+  const index = ownsIndex ?
+      new DocumentTextIndex(root, {normalization: normalization}) :
+      textIndex;
+  try {
+    if (!useMatcher) {
+      await index.updateInSlices(signal);
+    }
+    const processedFragmentDirectives = {};
+    try {
+      for (const
+               [fragmentDirectiveType,
+                fragmentDirectivesOfType,
+      ] of Object.entries(parsedFragmentDirectives)) {
+        if (!directiveHandlers.has(fragmentDirectiveType)) {
+          continue;
+        }
+        const processedFragmentDirectivesOfType = [];
+        processedFragmentDirectives[fragmentDirectiveType] =
+            processedFragmentDirectivesOfType;
+        for (const [i, fragmentDirectiveOfType] of fragmentDirectivesOfType
+                 .entries()) {
+          await yieldToEventLoop(getWindowOf(root));
+          throwIfAborted(signal);
+          // Each directive is processed on its own, so
+          // processFragmentDirectives would tell |createMark| it's the first
+          // one; this index wins.
+          const directiveOptions = {
+            ...options,
+            createMark: withDirectiveIndex(options.createMark, i),
+          };
+          if (useMatcher && fragmentDirectiveType === 'text') {
+            processedFragmentDirectivesOfType.push(
+                await processTextDirectiveWithMatcher(
+                    fragmentDirectiveOfType, documentToProcess, root,
+                    directiveOptions));
+            // The worker may have answered after the signal was aborted.
+            throwIfAborted(signal);
+            continue;
+          }
+          const processed = processFragmentDirectives(
+              {[fragmentDirectiveType]: [fragmentDirectiveOfType]},
+              documentToProcess, root, {...directiveOptions, textIndex: index});
+          processedFragmentDirectivesOfType.push(
+              processed[fragmentDirectiveType][0]);
+        }
+      }
+    } catch (err) {
+      // The caller doesn't get the highlights made so far, so it couldn't
+      // remove them.
+      removeHighlights(processedFragmentDirectives, documentToProcess);
+      throw err;
+    }
+    return processedFragmentDirectives;
+  } finally {
+    if (ownsIndex) {
+      index.disconnect();
+    }
+  }
+};
 
-export const processTextFragmentDirective =
-    (textFragment, documentToProcess = document, root = document.body) => {
-      const results = [];
+/**
+ * Processes a text directive like processFragmentDirectives, searching |root|
+ * with |options.matcher|. The worker only finds exact matches in |root|, so
+ * directives without any are processed by processFragmentDirectives instead
+ * when approximate matching or the search of iframes are enabled. So are all
+ * directives if the worker fails, e.g. because it couldn't be loaded.
+ * @param {TextFragment} textFragment - the parsed text directive.
+ * @param {Document} documentToProcess - document where to mark the fragment.
+ * @param {Element} root - the root element searched by |options.matcher|.
+ * @param {Object} options - the options of processFragmentDirectivesAsync.
+ * @return {Promise<Element[]|Element[][]>} - the marks created for the
+ *     directive, or for each of its matches with highlightAll.
+ */
+const processTextDirectiveWithMatcher =
+    async (textFragment, documentToProcess, root, options) => {
+  let ranges;
+  try {
+    ranges = await options.matcher.findMatches(textFragment, {
+      limit: options.highlightAll ? Infinity : 1,
+      signal: options.signal,
+    });
+  } catch (err) {
+    throwIfAborted(options.signal);
+    ranges = null;
+  }
+  let marks;
+  if (ranges == null ||
+      !ranges.length &&
+          (options.fuzzyMinScore != null || options.searchIframes)) {
+    marks = processFragmentDirectives(
+                {text: [textFragment]}, documentToProcess, root, options)
+                .text[0];
+    options.matcher.ignoreHighlightMutations();
+    return marks;
+  }
+  const handler = directiveHandlers.get('text');
+  marks = ranges.map((range) => handler.highlight(range, documentToProcess, {
+    customHighlight: options.customHighlight,
+    overlay: options.overlay,
+    createMark: options.createMark,
+  }));
+  // Searching the next directives doesn't take sending the text again.
+  options.matcher.ignoreHighlightMutations();
+  if (options.highlightAll) {
+    return marks;
+  }
+  return marks.length ? marks[0] : [];
+};
 
-      const searchRange = documentToProcess.createRange();
-      searchRange.selectNodeContents(root);
+/**
+ * Lets the browser handle pending events, e.g. input, before continuing a long
+ * task. Uses scheduler.yield where supported, so that the task resumes before
+ * other ones, or else requestIdleCallback or a timeout.
+ * @param {Window} [windowToYield] - the window whose event loop to yield to.
+ * @return {Promise<void>} - resolves when the task can continue.
+ */
+const yieldToEventLoop = (windowToYield = window) => {
+  if (windowToYield.scheduler != null &&
+      typeof windowToYield.scheduler.yield === 'function') {
+    return windowToYield.scheduler.yield();
+  }
+  return new Promise((resolve) => {
+    if (typeof windowToYield.requestIdleCallback === 'function') {
+      windowToYield.requestIdleCallback(() => resolve(), {
+        timeout: IDLE_CALLBACK_TIMEOUT_MS,
+      });
+    } else {
+      windowToYield.setTimeout(resolve, 0);
+    }
+  });
+};
 
-      while (!searchRange.collapsed && results.length < 2) {
-        let potentialMatch;
-        if (textFragment.prefix) {
-          const prefixMatch = findTextInRange(textFragment.prefix, searchRange);
-          if (prefixMatch == null) {
-            break;
-          }
-          // Future iterations, if necessary, should start after the first
-          // character of the prefix match.
-          advanceRangeStartPastOffset(
-              searchRange,
-              prefixMatch.startContainer,
-              prefixMatch.startOffset,
-          );
+/**
+ * @param {Promise} promise
+ * @param {AbortSignal} [signal]
+ * @return {Promise} - settles like |promise|, or rejects with the reason of
+ *     |signal| as soon as it's aborted.
+ */
+const rejectOnAbort = (promise, signal) => {
+  if (signal == null) {
+    return promise;
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      reject(getAbortReason(signal));
+    };
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener('abort', onAbort);
+    promise.then(
+        (value) => {
+          signal.removeEventListener('abort', onAbort);
+          resolve(value);
+        },
+        (err) => {
+          signal.removeEventListener('abort', onAbort);
+          reject(err);
+        });
+  });
+};
 
-          // The search space for textStart is everything after the prefix and
-          // before the end of the top-level search range, starting at the next
-          // non- whitespace position.
-          const matchRange = documentToProcess.createRange();
-          matchRange.setStart(prefixMatch.endContainer, prefixMatch.endOffset);
-          matchRange.setEnd(searchRange.endContainer, searchRange.endOffset);
+/**
+ * @param {AbortSignal} [signal]
+ * @throws {*} - the reason of |signal|, if it's aborted. Browsers that don't
+ *     support abort reasons get an AbortError DOMException instead.
+ */
+const throwIfAborted = (signal) => {
+  if (signal != null && signal.aborted) {
+    throw getAbortReason(signal);
+  }
+};
 
-          advanceRangeStartToNonWhitespace(matchRange);
-          if (matchRange.collapsed) {
-            break;
-          }
+/**
+ * @param {AbortSignal} signal - an aborted signal.
+ * @return {*} - the reason of |signal|, or an AbortError DOMException in
+ *     browsers that don't support abort reasons.
+ */
+const getAbortReason = (signal) => {
+  if (signal.reason !== undefined) {
+    return signal.reason;
+  }
+  return new DOMException('The operation was aborted.', 'AbortError');
+};
 
-          potentialMatch = findTextInRange(textFragment.textStart, matchRange);
-          // If textStart wasn't found anywhere in the matchRange, then there's
-          // no possible match and we can stop early.
-          if (potentialMatch == null) {
-            break;
+/**
+ * Waits for text matching one of |textFragments| to be added under |root|, for
+ * pages whose content is rendered after they load. After each task in which
+ * nodes are inserted or text changes under |root|, the fragments are searched
+ * again with processTextFragmentDirective, until one of them matches or the
+ * timeout expires. The searches share a DocumentTextIndex, so that only the
+ * blocks which changed are normalized again. Nothing is highlighted.
+ * @param {TextFragment[]} textFragments - the fragments to look for.
+ * @param {Document} documentToProcess - document where to find the fragments.
+ * @param {Element=} root - the root element where to find the fragments.
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - how long to wait, in ms. Defaults to
+ *     DEFAULT_MATCH_RETRY_TIMEOUT_MS.
+ * @param {NormalizationOptions} [options.normalization] - how text is
+ *     normalized before being compared.
+ * @param {AbortSignal} [options.signal] - stops waiting.
+ * @return {Promise<AbstractRange|null>} - resolves with the first match of the
+ *     first fragment to match, or with null if none matched in time. Rejects
+ *     with the reason of |options.signal| if it's aborted.
+ */
+export const waitForTextFragmentMatch =
+    (textFragments, documentToProcess = document, root = document.body,
+     {timeoutMs = DEFAULT_MATCH_RETRY_TIMEOUT_MS,
+      normalization,
+      signal} = {}) => {
+      return new Promise((resolve, reject) => {
+        throwIfAborted(signal);
+        const windowOfRoot = getWindowOf(root);
+        const textIndex =
+            new DocumentTextIndex(root, {normalization: normalization});
+        let searchTimeoutId = null;
+
+        const search = () => {
+          searchTimeoutId = null;
+          for (const textFragment of textFragments) {
+            const range = processTextFragmentDirective(
+                textFragment, documentToProcess, root,
+                {normalization: normalization, textIndex: textIndex})[0];
+            if (range != null) {
+              stop();
+              resolve(range);
+              return;
+            }
+          }
+        };
+        const observer = new windowOfRoot.MutationObserver((records) => {
+          // Changes made in the same task, e.g. while a framework renders,
+          // are searched once.
+          if (searchTimeoutId == null &&
+              records.some(
+                  (record) => record.type === 'characterData' ||
+                      record.addedNodes.length > 0)) {
+            searchTimeoutId = windowOfRoot.setTimeout(search, 0);
+          }
+        });
+        const onAbort = () => {
+          stop();
+          reject(getAbortReason(signal));
+        };
+        const deadlineTimeoutId = windowOfRoot.setTimeout(() => {
+          stop();
+          resolve(null);
+        }, timeoutMs);
+        const stop = () => {
+          observer.disconnect();
+          textIndex.disconnect();
+          windowOfRoot.clearTimeout(searchTimeoutId);
+          windowOfRoot.clearTimeout(deadlineTimeoutId);
+          if (signal != null) {
+            signal.removeEventListener('abort', onAbort);
+          }
+        };
+
+        observer.observe(root, {
+          characterData: true,
+          childList: true,
+          subtree: true,
+        });
+        if (signal != null) {
+          signal.addEventListener('abort', onAbort);
+        }
+      });
+    };
+
+/**
+ * Lists the documents of the visible same-origin iframes inside |root|, and of
+ * the iframes inside those, in document order.
+ * @param {Node} root - the node where to look for iframes.
+ * @return {Document[]}
+ */
+const getSameOriginFrameDocuments = (root) => {
+  const frameDocuments = [];
+  const elements = getElementsIn(root, (node) => {
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return NodeFilter.FILTER_SKIP;
+    }
+    return acceptNodeIfVisibleInRange(node);
+  });
+  for (const element of elements) {
+    if (element.tagName.toUpperCase() !== 'IFRAME') {
+      continue;
+    }
+    let frameDocument = null;
+    try {
+      // Null for cross-origin iframes, or throws in some older browsers.
+      frameDocument = element.contentDocument;
+    } catch {
+    }
+    if (frameDocument != null && frameDocument.body != null) {
+      frameDocuments.push(
+          frameDocument, ...getSameOriginFrameDocuments(frameDocument.body));
+    }
+  }
+  return frameDocuments;
+};
+
+/**
+ * Finds every match of a parsed directive, falling back to its single match
+ * for handlers that can't find more.
+ * @param {DirectiveHandler} handler - the handler of the directive's type.
+ * @param {*} fragmentDirective - the parsed directive.
+ * @param {Document} documentToProcess - document where to find the matches.
+ * @param {Element} root - the root element where to find the matches.
+ * @param {MatchOptions} options
+ * @return {Array} - the matches, in document order.
+ */
+const findAllDirectiveMatches =
+    (handler, fragmentDirective, documentToProcess, root, options) => {
+      if (handler.matchAll) {
+        return handler.matchAll(
+            fragmentDirective, documentToProcess, root, options);
+      }
+      const match =
+          handler.match(fragmentDirective, documentToProcess, root, options);
+      return match != null ? [match] : [];
+    };
+
+/**
+ * Finds every occurrence of a text fragment in the document, e.g. to count
+ * them or to navigate between them. Unlike processTextFragmentDirective, each
+ * occurrence of textStart yields at most one match, and matches overlapping a
+ * previous one are skipped.
+ * @param {TextFragment} textFragment - Text Fragment to find.
+ * @param {Object} [options]
+ * @param {number} [options.limit] - stop after finding this many matches.
+ *     Unlimited by default.
+ * @param {DocumentTextIndex} [options.textIndex] - an index of the text of
+ *     |root|, to search instead of the DOM.
+ * @param {NormalizationOptions} [options.normalization] - how text is
+ *     normalized before being compared.
+ * @param {AbortSignal} [options.signal] - stops the search.
+ * @param {Document} documentToProcess - document where to find the fragment.
+ * @param {Element=} root - the root element where to find the fragment.
+ * @return {Range[]} - the matching ranges, in document order.
+ * @throws {*} - the reason of |options.signal|, if it's aborted.
+ */
+export const findAllMatches =
+    (textFragment, {limit = Infinity, textIndex, normalization, signal} = {},
+     documentToProcess = document, root = document.body) => {
+      return findTextFragmentMatches(
+          textFragment, documentToProcess, root, limit,
+          /* distinctMatches= */ true, {
+            textIndex: textIndex,
+            normalization: normalization,
+            signal: signal,
+          });
+    };
+
+/**
+ * @typedef {Object} MatchDescriptor
+ * @property {AbstractRange} range - the match, from textStart to textEnd.
+ * @property {string} text - the text of the match, as in the document.
+ * @property {string} normalizedText - |text|, normalized the way it's compared
+ *     with the text fragment.
+ * @property {{prefix: ?AbstractRange, textStart: AbstractRange,
+ *     textEnd: ?AbstractRange, suffix: ?AbstractRange}} parts - the text
+ *     matched by each part of the text fragment, or null for the parts it
+ *     doesn't have.
+ * @property {Node} block - the closest block element containing the whole
+ *     match, or the root if there is none.
+ * @property {number} startOffset - where the match starts in the text of the
+ *     root, i.e. the data of its visible text nodes in flat tree order.
+ * @property {number} endOffset - where the match ends in the text of the root.
+ * @property {boolean} ambiguous - true if the text fragment matches more than
+ *     one place, as far as processTextFragmentDirective is concerned, so that
+ *     it doesn't identify this match uniquely.
+ */
+
+/**
+ * Finds every occurrence of a text fragment in the document, like
+ * findAllMatches, and describes each of them, e.g. for link previews or
+ * analytics.
+ * @param {TextFragment} textFragment - Text Fragment to find.
+ * @param {Object} [options] - the options of findAllMatches.
+ * @param {Document} documentToProcess - document where to find the fragment.
+ * @param {Element=} root - the root element where to find the fragment.
+ * @return {MatchDescriptor[]} - the matches, in document order.
+ * @throws {*} - the reason of |options.signal|, if it's aborted.
+ */
+export const describeMatches =
+    (textFragment, {limit = Infinity, textIndex, normalization, signal} = {},
+     documentToProcess = document, root = document.body) => {
+      const options = {
+        textIndex: textIndex,
+        normalization: normalization,
+        signal: signal,
+      };
+      const matches = findTextFragmentMatchParts(
+          textFragment, documentToProcess, root, limit,
+          /* distinctMatches= */ true, options);
+      if (!matches.length) {
+        return [];
+      }
+      const ambiguous = matches.length > 1 ||
+          processTextFragmentDirective(
+              textFragment, documentToProcess, root, options)
+                  .length > 1;
+
+      // The text of the root, and where each of its text nodes starts in it.
+      const nodeStarts = new Map();
+      let text = '';
+      for (const node of getAllTextNodes(root).flat()) {
+        nodeStarts.set(node, text.length);
+        text += node.data;
+      }
+
+      const toRange = (part) => part != null ? part.toRange() : null;
+      return matches.map((match) => {
+        const range = match.range;
+        const startOffset =
+            nodeStarts.get(range.startContainer) + range.startOffset;
+        const endOffset = nodeStarts.get(range.endContainer) + range.endOffset;
+        const matchText = text.substring(startOffset, endOffset);
+        return {
+          range: range.toRange(),
+          text: matchText,
+          normalizedText: normalizeString(matchText, normalization),
+          parts: {
+            prefix: toRange(match.prefix),
+            textStart: match.textStart.toRange(),
+            textEnd: toRange(match.textEnd),
+            suffix: toRange(match.suffix),
+          },
+          block: getBlockContainer(range.commonAncestorContainer, root),
+          startOffset: startOffset,
+          endOffset: endOffset,
+          ambiguous: ambiguous,
+        };
+      });
+    };
+
+/**
+ * @param {Node} node - a node in |root|.
+ * @param {Node} root
+ * @return {Node|null} - the closest block element containing |node|, |root| if
+ *     there is none, or null if |node| isn't in |root|.
+ */
+const getBlockContainer = (node, root) => {
+  while (node != null && node !== root) {
+    if (node.nodeType === Node.ELEMENT_NODE &&
+        BLOCK_ELEMENTS.includes(node.tagName.toUpperCase())) {
+      return node;
+    }
+    node = getFlatTreeParent(node);
+  }
+  return node;
+};
+
+/**
+ * @typedef {Object} FuzzyMatch
+ * @property {AbstractRange} range - the matching range.
+ * @property {number} score - how similar the text of |range| is to the text
+ *     fragment, from 0 to 1 (identical).
+ */
+
+/**
+ * Finds the text closest to a text fragment in the document, for links whose
+ * target text has been slightly edited since they were created. The score of
+ * a candidate is 1 - d / n, where d is the edit distance between the
+ * normalized candidate text and the fragment's textStart (and textEnd), and n
+ * the length of the latter. With a textEnd, the pair of textStart and textEnd
+ * candidates with the smallest total distance is chosen, rather than the
+ * closest textStart. Like exact matches, each of textStart and textEnd
+ * must fit within a block. The prefix and suffix are not taken into account,
+ * and matches needn't start or end on word boundaries.
+ * @param {TextFragment} textFragment - Text Fragment to find.
+ * @param {Object} [options]
+ * @param {number} [options.minScore] - the minimum score of the match.
+ *     Defaults to DEFAULT_FUZZY_MIN_SCORE.
+ * @param {DocumentTextIndex} [options.textIndex] - an index of the text of
+ *     |root|. A temporary one is built if not provided, or if it was built
+ *     with a different normalization.
+ * @param {NormalizationOptions} [options.normalization] - how text is
+ *     normalized before being compared.
+ * @param {Document} documentToProcess - document where to find the fragment.
+ * @param {Element=} root - the root element where to find the fragment.
+ * @return {FuzzyMatch|null} - the best match, the first one in case of a tie,
+ *     or null if none scores at least minScore.
+ */
+export const findFuzzyMatch =
+    (textFragment,
+     {minScore = DEFAULT_FUZZY_MIN_SCORE, textIndex, normalization} = {},
+     documentToProcess = document, root = document.body) => {
+      const ownsIndex = textIndex == null ||
+          !isSameNormalization(textIndex.normalization, normalization);
+      const index = ownsIndex ?
+          new DocumentTextIndex(root, {normalization: normalization}) :
+          textIndex;
+      try {
+        const rootRange = new FlatTreeRange(documentToProcess);
+        rootRange.selectNodeContents(root);
+        const blocks = index.getBlocksInRange(rootRange);
+
+        const textStart =
+            normalizeString(textFragment.textStart, normalization).trim();
+        const textEnd =
+            normalizeString(textFragment.textEnd, normalization).trim();
+        const length = textStart.length + textEnd.length;
+        if (!length) {
+          return null;
+        }
+
+        const maxDistance = Math.floor((1 - minScore) * length);
+        let startMatch;
+        let endMatch;
+        if (textEnd) {
+          const pair =
+              findClosestPairInBlocks(textStart, textEnd, blocks, maxDistance);
+          if (pair == null) {
+            return null;
+          }
+          [startMatch, endMatch] = pair;
+        } else {
+          startMatch = findClosestSubstringInBlocks(
+              textStart, blocks, 0, 0, maxDistance);
+          if (startMatch == null) {
+            return null;
+          }
+          endMatch = startMatch;
+        }
+
+        const start = getBoundaryPointInBlock(
+            startMatch.start, blocks[startMatch.blockIndex], /* isEnd=*/ false,
+            normalization);
+        const end = getBoundaryPointInBlock(
+            endMatch.end, blocks[endMatch.blockIndex], /* isEnd=*/ true,
+            normalization);
+        if (start == null || end == null) {
+          return null;
+        }
+        const range = new FlatTreeRange(documentToProcess);
+        range.setStart(start.node, start.offset);
+        range.setEnd(end.node, end.offset);
+        const distance = startMatch.distance +
+            (endMatch === startMatch ? 0 : endMatch.distance);
+        return {range: range.toRange(), score: 1 - distance / length};
+      } finally {
+        if (ownsIndex) {
+          index.disconnect();
+        }
+      }
+    };
+
+// The scores of the ranges found by findFuzzyMatchIfEnabled, for the 'text'
+// handler to mark them with. Exact matches have no score.
+const fuzzyMatchScores = new WeakMap();
+
+/**
+ * Calls findFuzzyMatch if approximate matching is enabled in |options|.
+ * @param {TextFragment} textFragment - Text Fragment to find.
+ * @param {Document} documentToProcess - document where to find the fragment.
+ * @param {Element} root - the root element where to find the fragment.
+ * @param {MatchOptions} options
+ * @return {Range|null} - the range of the match, whose score is recorded in
+ *     fuzzyMatchScores.
+ */
+const findFuzzyMatchIfEnabled =
+    (textFragment, documentToProcess, root, options) => {
+      if (options == null || options.fuzzyMinScore == null) {
+        return null;
+      }
+      const match = findFuzzyMatch(
+          textFragment, {
+            minScore: options.fuzzyMinScore,
+            textIndex: options.textIndex,
+            normalization: options.normalization,
+          },
+          documentToProcess, root);
+      if (match == null) {
+        return null;
+      }
+      fuzzyMatchScores.set(match.range, match.score);
+      return match.range;
+    };
+
+/**
+ * Searches the document for a given text fragment.
+ *
+ * @param {TextFragment} textFragment - Text Fragment to highlight.
+ * @param {Document} documentToProcess - document where to extract and mark
+ *     fragments in.
+ * @param {Element=} root - the root element where to extract and mark
+ *     fragments in.
+ * @param {MatchOptions} [options]
+ * @return {AbstractRange[]} - Zero or more ranges within the document
+ *     corresponding to the fragment, which are StaticRanges when they span
+ *     more than one shadow tree. If the fragment corresponds to more than one
+ *     location in the document (i.e., is ambiguous) then the first two matches
+ *     will be returned (regardless of how many more matches there may be in
+ *     the document).
+ * @throws {*} - the reason of |options.signal|, if it's aborted.
+ */
+
+export const processTextFragmentDirective =
+    (textFragment, documentToProcess = document, root = document.body,
+     options = {}) => {
+      return findTextFragmentMatches(
+          textFragment, documentToProcess, root, /* limit= */ 2,
+          /* distinctMatches= */ false, options);
+    };
+
+/**
+ * Searches the document for a given text fragment.
+ * @param {TextFragment} textFragment - Text Fragment to find.
+ * @param {Document} documentToProcess - document where to find the fragment.
+ * @param {Element} root - the root element where to find the fragment.
+ * @param {number} limit - stop after finding this many matches.
+ * @param {boolean} distinctMatches - if true, only the first match is kept
+ *     for each occurrence of textStart, and matches overlapping the previous
+ *     one are skipped. Otherwise, every textEnd following a textStart is a
+ *     match of its own, which is what ambiguity checks need.
+ * @param {MatchOptions} [options]
+ * @return {AbstractRange[]} - the matching ranges, in flat tree order. Matches
+ *     spanning more than one shadow tree are StaticRanges, since a Range
+ *     can't cross tree boundaries.
+ */
+const findTextFragmentMatches =
+    (textFragment, documentToProcess, root, limit, distinctMatches,
+     options = {}) => {
+      return findTextFragmentMatchParts(
+                 textFragment, documentToProcess, root, limit, distinctMatches,
+                 options)
+          .map((match) => match.range.toRange());
+    };
+
+/**
+ * A match of a text fragment, and the text matched by each of its parts.
+ * @typedef {Object} TextFragmentMatchParts
+ * @property {FlatTreeRange} range - the match, from textStart to textEnd.
+ * @property {FlatTreeRange|null} prefix
+ * @property {FlatTreeRange} textStart
+ * @property {FlatTreeRange|null} textEnd
+ * @property {FlatTreeRange|null} suffix
+ */
+
+/**
+ * Like findTextFragmentMatches, but also returns where each part of the text
+ * fragment matched.
+ * @param {TextFragment} textFragment - Text Fragment to find.
+ * @param {Document} documentToProcess - document where to find the fragment.
+ * @param {Element} root - the root element where to find the fragment.
+ * @param {number} limit - stop after finding this many matches.
+ * @param {boolean} distinctMatches - see findTextFragmentMatches.
+ * @param {MatchOptions} [options]
+ * @return {TextFragmentMatchParts[]} - the matches, in flat tree order.
+ */
+const findTextFragmentMatchParts =
+    (textFragment, documentToProcess, root, limit, distinctMatches,
+     options = {}) => {
+      const results = [];
+      // Adds a match to |results|, unless distinctMatches is set and it
+      // overlaps the previous one. Returns true if the match was added.
+      const addResult = (range, parts) => {
+        if (distinctMatches && results.length &&
+            results[results.length - 1].range.compareBoundaryPoints(
+                Range.START_TO_END, range) > 0) {
+          return false;
+        }
+        results.push({
+          range: range.cloneRange(),
+          prefix: parts.prefix || null,
+          textStart: parts.textStart,
+          textEnd: parts.textEnd || null,
+          suffix: parts.suffix || null,
+        });
+        return true;
+      };
+
+      const searchRange = new FlatTreeRange(documentToProcess);
+      searchRange.selectNodeContents(root);
+
+      while (!searchRange.collapsed && results.length < limit) {
+        throwIfAborted(options.signal);
+        let potentialMatch;
+        let prefixMatch;
+        if (textFragment.prefix) {
+          prefixMatch =
+              findTextInRange(textFragment.prefix, searchRange, options);
+          if (prefixMatch == null) {
+            break;
+          }
+          // Future iterations, if necessary, should start after the first
+          // character of the prefix match.
+          advanceRangeStartPastOffset(
+              searchRange,
+              prefixMatch.startContainer,
+              prefixMatch.startOffset,
+          );
+
+          // The search space for textStart is everything after the prefix and
+          // before the end of the top-level search range, starting at the next
+          // non- whitespace position.
+          const matchRange = new FlatTreeRange(documentToProcess);
+          matchRange.setStart(prefixMatch.endContainer, prefixMatch.endOffset);
+          matchRange.setEnd(searchRange.endContainer, searchRange.endOffset);
+
+          advanceRangeStartToNonWhitespace(matchRange);
+          if (matchRange.collapsed) {
+            break;
+          }
+
+          potentialMatch =
+              findTextInRange(textFragment.textStart, matchRange, options);
+          // If textStart wasn't found anywhere in the matchRange, then there's
+          // no possible match and we can stop early.
+          if (potentialMatch == null) {
+            break;
           }
 
           // If potentialMatch is immediately after the prefix (i.e., its start
@@ -215,7 +1556,8 @@ export const processTextFragmentDirective =
           }
         } else {
           // With no prefix, just look directly for textStart.
-          potentialMatch = findTextInRange(textFragment.textStart, searchRange);
+          potentialMatch =
+              findTextInRange(textFragment.textStart, searchRange, options);
           if (potentialMatch == null) {
             break;
           }
@@ -226,8 +1568,11 @@ export const processTextFragmentDirective =
           );
         }
 
+        // |potentialMatch| is extended to textEnd below.
+        const textStartMatch = potentialMatch.cloneRange();
+
         if (textFragment.textEnd) {
-          const textEndRange = documentToProcess.createRange();
+          const textEndRange = new FlatTreeRange(documentToProcess);
           textEndRange.setStart(
               potentialMatch.endContainer, potentialMatch.endOffset);
           textEndRange.setEnd(searchRange.endContainer, searchRange.endOffset);
@@ -241,9 +1586,9 @@ export const processTextFragmentDirective =
 
           // Search through the rest of the document to find a textEnd match.
           // This may take multiple iterations if a suffix needs to be found.
-          while (!textEndRange.collapsed && results.length < 2) {
+          while (!textEndRange.collapsed && results.length < limit) {
             const textEndMatch =
-                findTextInRange(textFragment.textEnd, textEndRange);
+                findTextInRange(textFragment.textEnd, textEndRange, options);
             if (textEndMatch == null) {
               break;
             }
@@ -260,21 +1605,40 @@ export const processTextFragmentDirective =
               // the textEnd we just found.
               const suffixResult = checkSuffix(
                   textFragment.suffix, potentialMatch, searchRange,
-                  documentToProcess);
-              if (suffixResult === CheckSuffixResult.NO_SUFFIX_MATCH) {
+                  documentToProcess, options);
+              if (suffixResult.status === CheckSuffixResult.NO_SUFFIX_MATCH) {
                 break;
-              } else if (suffixResult === CheckSuffixResult.SUFFIX_MATCH) {
+              } else if (
+                  suffixResult.status === CheckSuffixResult.SUFFIX_MATCH) {
                 matchFound = true;
-                results.push(potentialMatch.cloneRange());
+                addResult(potentialMatch, {
+                  prefix: prefixMatch,
+                  textStart: textStartMatch,
+                  textEnd: textEndMatch,
+                  suffix: suffixResult.suffixMatch,
+                });
+                // Later textEnd occurrences would only give longer matches
+                // starting at the same place.
+                if (distinctMatches) {
+                  break;
+                }
                 continue;
-              } else if (suffixResult === CheckSuffixResult.MISPLACED_SUFFIX) {
+              } else if (
+                  suffixResult.status === CheckSuffixResult.MISPLACED_SUFFIX) {
                 continue;
               }
             } else {
               // If we've found textEnd and there's no suffix, then it's a
               // match!
               matchFound = true;
-              results.push(potentialMatch.cloneRange());
+              addResult(potentialMatch, {
+                prefix: prefixMatch,
+                textStart: textStartMatch,
+                textEnd: textEndMatch,
+              });
+              if (distinctMatches) {
+                break;
+              }
             }
           }
           // Stopping match search because suffix or textEnd are missing from
@@ -288,20 +1652,26 @@ export const processTextFragmentDirective =
           // after potentialMatch
           const suffixResult = checkSuffix(
               textFragment.suffix, potentialMatch, searchRange,
-              documentToProcess);
-          if (suffixResult === CheckSuffixResult.NO_SUFFIX_MATCH) {
+              documentToProcess, options);
+          if (suffixResult.status === CheckSuffixResult.NO_SUFFIX_MATCH) {
             break;
-          } else if (suffixResult === CheckSuffixResult.SUFFIX_MATCH) {
-            results.push(potentialMatch.cloneRange());
+          } else if (suffixResult.status === CheckSuffixResult.SUFFIX_MATCH) {
+            addResult(potentialMatch, {
+              prefix: prefixMatch,
+              textStart: textStartMatch,
+              suffix: suffixResult.suffixMatch,
+            });
             advanceRangeStartPastOffset(
                 searchRange, searchRange.startContainer,
                 searchRange.startOffset);
             continue;
-          } else if (suffixResult === CheckSuffixResult.MISPLACED_SUFFIX) {
+          } else if (
+              suffixResult.status === CheckSuffixResult.MISPLACED_SUFFIX) {
             continue;
           }
         } else {
-          results.push(potentialMatch.cloneRange());
+          addResult(
+              potentialMatch, {prefix: prefixMatch, textStart: textStartMatch});
         }
       }
       return results;
@@ -309,13 +1679,30 @@ export const processTextFragmentDirective =
 
 /**
  * Removes the given highlights.
- * @param {Node[]} marks - a list of <mark> elements to be removed, with their
- *     contents extracted and returned to the parent node (from which they were
- *     originally pulled).
+ * @param {Array<Node|AbstractRange>} marks - a list of <mark> elements to be
+ *     removed, with their contents extracted and returned to the parent node
+ *     (from which they were originally pulled). Elements matched by a selector
+ *     directive are kept, and only lose their highlighting class. Ranges are
+ *     removed from the custom highlight and the overlay of text fragments.
  * @param {Document} documentToProcess - document where to remove the marks.
  */
 export const removeMarks = (marks, documentToProcess = document) => {
   for (const mark of marks) {
+    if (isAbstractRange(mark)) {
+      removeFromTextFragmentHighlight(mark);
+      const overlay =
+          textFragmentOverlays.get(getOwnerDocument(mark.startContainer));
+      if (overlay != null) {
+        overlay.delete(mark);
+      }
+      continue;
+    }
+    // Elements highlighted by a selector directive belong to the page, so only
+    // their highlight is removed.
+    if (mark.classList.contains(TARGET_ELEMENT_CSS_CLASS_NAME)) {
+      mark.classList.remove(TARGET_ELEMENT_CSS_CLASS_NAME);
+      continue;
+    }
     const range = documentToProcess.createRange();
     range.selectNodeContents(mark);
     const fragment = range.extractContents();
@@ -325,6 +1712,488 @@ export const removeMarks = (marks, documentToProcess = document) => {
   }
 };
 
+/**
+ * @param {Document} documentToProcess
+ * @return {boolean} - true if the window of |documentToProcess| supports the
+ *     CSS Custom Highlight API.
+ */
+export const supportsCustomHighlights = (documentToProcess = document) => {
+  const windowOfDocument = getWindowOf(documentToProcess);
+  return windowOfDocument.CSS != null &&
+      windowOfDocument.CSS.highlights != null &&
+      typeof windowOfDocument.Highlight === 'function';
+};
+
+/**
+ * Returns the highlight of the text fragments of a document, registering it
+ * if needed. Its priority is raised above the default, so that it wins over
+ * the page's own highlights.
+ * @param {Document} documentToProcess - a document whose window supports the
+ *     CSS Custom Highlight API.
+ * @return {Highlight}
+ */
+const getTextFragmentHighlight = (documentToProcess) => {
+  const windowOfDocument = getWindowOf(documentToProcess);
+  const highlights = windowOfDocument.CSS.highlights;
+  let highlight = highlights.get(TEXT_FRAGMENT_HIGHLIGHT_NAME);
+  if (highlight == null) {
+    highlight = new windowOfDocument.Highlight();
+    highlight.priority = 1;
+    highlights.set(TEXT_FRAGMENT_HIGHLIGHT_NAME, highlight);
+  }
+  return highlight;
+};
+
+/**
+ * Removes a range from the highlight of the text fragments of its document,
+ * and unregisters the highlight once it's empty.
+ * @param {AbstractRange} range
+ */
+const removeFromTextFragmentHighlight = (range) => {
+  const documentOfRange = getOwnerDocument(range.startContainer);
+  if (!supportsCustomHighlights(documentOfRange)) {
+    return;
+  }
+  const highlights = getWindowOf(documentOfRange).CSS.highlights;
+  const highlight = highlights.get(TEXT_FRAGMENT_HIGHLIGHT_NAME);
+  if (highlight == null) {
+    return;
+  }
+  highlight.delete(range);
+  if (highlight.size === 0) {
+    highlights.delete(TEXT_FRAGMENT_HIGHLIGHT_NAME);
+  }
+};
+
+/**
+ * Highlights ranges by drawing boxes over them, from their client rects,
+ * without changing the content of the page: the boxes are absolutely
+ * positioned elements, with the TEXT_FRAGMENT_CSS_CLASS_NAME class so that
+ * they're styled like <mark> elements, in a container appended to the root
+ * element of the document. They're blended with the text under them, and let
+ * events through. The boxes are drawn again, in the next animation frame,
+ * when the window is resized, when the page or one of its scrolling elements
+ * is scrolled, when nodes or text change around the ranges, and when the size
+ * of the body changes.
+ * StaticRanges, e.g. the ones crossing shadow roots, have no client rects and
+ * aren't drawn.
+ */
+export const OverlayHighlight = class {
+  /**
+   * @param {Document} [documentToProcess] - the document of the ranges.
+   */
+  constructor(documentToProcess = document) {
+    this.documentToProcess = documentToProcess;
+    this.ranges = [];
+    this.container = null;
+    this.animationFrameId = null;
+    this.scheduleUpdate = this.scheduleUpdate.bind(this);
+  }
+
+  /**
+   * Highlights a range, and starts following the layout of the page if it's
+   * the first one.
+   * @param {AbstractRange} range
+   */
+  add(range) {
+    this.ranges.push(range);
+    if (this.container == null) {
+      this.connect();
+    }
+    this.observeRanges();
+    this.update();
+  }
+
+  /**
+   * Stops highlighting a range. Once no range is left, the container is
+   * removed and the layout of the page isn't followed anymore.
+   * @param {AbstractRange} range
+   */
+  delete(range) {
+    this.ranges = this.ranges.filter((other) => other !== range);
+    if (!this.ranges.length) {
+      this.remove();
+      return;
+    }
+    this.observeRanges();
+    this.update();
+  }
+
+  /**
+   * Removes all the highlights.
+   */
+  remove() {
+    this.ranges = [];
+    if (this.container == null) {
+      return;
+    }
+    const windowOfDocument = getWindowOf(this.documentToProcess);
+    windowOfDocument.removeEventListener('resize', this.scheduleUpdate);
+    // Scroll events don't bubble, so the ones of scrolling elements are only
+    // seen while capturing.
+    this.documentToProcess.removeEventListener(
+        'scroll', this.scheduleUpdate, true);
+    this.mutationObserver.disconnect();
+    if (this.resizeObserver != null) {
+      this.resizeObserver.disconnect();
+    }
+    if (this.animationFrameId != null) {
+      windowOfDocument.cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+    this.container.remove();
+    this.container = null;
+  }
+
+  /**
+   * @return {Element[]} - the boxes currently drawn.
+   */
+  getBoxes() {
+    return this.container != null ? Array.from(this.container.children) : [];
+  }
+
+  /**
+   * Draws the boxes of the ranges again, where they are now.
+   */
+  update() {
+    if (this.container == null) {
+      return;
+    }
+    // The container is where the boxes are positioned from, wherever the page
+    // is scrolled to.
+    const origin = this.container.getBoundingClientRect();
+    const boxes = [];
+    for (const range of this.ranges) {
+      if (typeof range.getClientRects !== 'function') {
+        continue;
+      }
+      for (const rect of range.getClientRects()) {
+        if (rect.width === 0 || rect.height === 0) {
+          continue;
+        }
+        const box = this.documentToProcess.createElement('div');
+        box.className = TEXT_FRAGMENT_CSS_CLASS_NAME;
+        Object.assign(box.style, {
+          position: 'absolute',
+          left: `${rect.left - origin.left}px`,
+          top: `${rect.top - origin.top}px`,
+          width: `${rect.width}px`,
+          height: `${rect.height}px`,
+          mixBlendMode: 'multiply',
+        });
+        boxes.push(box);
+      }
+    }
+    this.container.replaceChildren(...boxes);
+    // The boxes just drawn aren't changes of the page.
+    this.mutationObserver.takeRecords();
+  }
+
+  /**
+   * Draws the boxes again in the next animation frame, unless that's already
+   * planned.
+   */
+  scheduleUpdate() {
+    if (this.animationFrameId != null) {
+      return;
+    }
+    this.animationFrameId =
+        getWindowOf(this.documentToProcess).requestAnimationFrame(() => {
+          this.animationFrameId = null;
+          this.update();
+        });
+  }
+
+  /**
+   * Watches the nodes and the text around the ranges, in their common
+   * ancestors. Other changes of the layout are seen by the ResizeObserver.
+   */
+  observeRanges() {
+    this.mutationObserver.disconnect();
+    const ancestors =
+        new Set(this.ranges.map((range) => range.commonAncestorContainer)
+                    .filter((ancestor) => ancestor != null));
+    for (const ancestor of ancestors) {
+      this.mutationObserver.observe(ancestor, {
+        characterData: true,
+        childList: true,
+        subtree: true,
+      });
+    }
+  }
+
+  /**
+   * Adds the container of the boxes, and starts following the layout of the
+   * page.
+   */
+  connect() {
+    const windowOfDocument = getWindowOf(this.documentToProcess);
+    this.container = this.documentToProcess.createElement('div');
+    this.container.className = TEXT_FRAGMENT_OVERLAY_CSS_CLASS_NAME;
+    this.container.setAttribute('aria-hidden', 'true');
+    Object.assign(this.container.style, {
+      position: 'absolute',
+      top: '0',
+      left: '0',
+      width: '0',
+      height: '0',
+      pointerEvents: 'none',
+      zIndex: '2147483647',
+    });
+    this.documentToProcess.documentElement.appendChild(this.container);
+
+    windowOfDocument.addEventListener(
+        'resize', this.scheduleUpdate, {passive: true});
+    this.documentToProcess.addEventListener(
+        'scroll', this.scheduleUpdate, {capture: true, passive: true});
+    this.mutationObserver = new windowOfDocument.MutationObserver((records) => {
+      if (records.some((record) => !this.container.contains(record.target))) {
+        this.scheduleUpdate();
+      }
+    });
+    this.resizeObserver = null;
+    if (typeof windowOfDocument.ResizeObserver === 'function' &&
+        this.documentToProcess.body != null) {
+      this.resizeObserver =
+          new windowOfDocument.ResizeObserver(this.scheduleUpdate);
+      this.resizeObserver.observe(this.documentToProcess.body);
+    }
+  }
+};
+
+// The overlays of text fragments highlighted with HighlightOptions.overlay,
+// by document.
+const textFragmentOverlays = new WeakMap();
+
+/**
+ * @param {Document} documentToProcess
+ * @return {OverlayHighlight} - the overlay of the text fragments of
+ *     |documentToProcess|, created if needed.
+ */
+const getTextFragmentOverlay = (documentToProcess) => {
+  let overlay = textFragmentOverlays.get(documentToProcess);
+  if (overlay == null) {
+    overlay = new OverlayHighlight(documentToProcess);
+    textFragmentOverlays.set(documentToProcess, overlay);
+  }
+  return overlay;
+};
+
+/**
+ * A realm-independent check of whether |value| is a Range or a StaticRange.
+ * @param {*} value
+ * @return {boolean}
+ */
+const isAbstractRange = (value) => {
+  return value != null && 'startContainer' in value && 'collapsed' in value;
+};
+
+/**
+ * Keeps text fragments highlighted when the page replaces the DOM they were
+ * marked in, as frameworks like React or Vue do when they render a subtree
+ * again, throwing the <mark> elements away. It remembers each fragment and the
+ * range it last matched, and once a MutationObserver sees that its marks were
+ * removed from the document, it finds the fragment again in the new DOM and
+ * marks it there, after the task in which the page changed. If the fragment
+ * matches more than once, the match in the same block as before, or else the
+ * one nearest to where it was in the text of the root, is marked. Each
+ * fragment is only looked for again a few times, whether it's found or not, so
+ * that it doesn't fight a page that keeps removing the marks, nor search the
+ * page after every change once its text is gone; after that, it's no longer
+ * watched.
+ */
+export const PersistentHighlights = class {
+  /**
+   * @param {Document} [documentToProcess] - the document of the marks.
+   * @param {Element} [root] - the subtree where the fragments are found again.
+   * @param {Object} [options]
+   * @param {NormalizationOptions} [options.normalization] - how text is
+   *     normalized before being compared.
+   * @param {number} [options.maxReanchors] - how many times each fragment is
+   *     looked for again at most, once its marks were removed. Defaults to
+   *     DEFAULT_MAX_REANCHORS.
+   * @param {function(TextFragment, Element[])} [options.onReanchor] - called
+   *     with a fragment and its new marks after it's marked again.
+   */
+  constructor(documentToProcess = document, root = document.body, {
+    normalization,
+    maxReanchors = DEFAULT_MAX_REANCHORS,
+    onReanchor,
+  } = {}) {
+    this.documentToProcess = documentToProcess;
+    this.root = root;
+    this.normalization = normalization;
+    this.maxReanchors = maxReanchors;
+    this.onReanchor = onReanchor;
+    // The highlighted fragments, in the order they were added.
+    this.entries = [];
+    this.reanchorTimeoutId = null;
+
+    const windowOfRoot = getWindowOf(root);
+    this.observer = new windowOfRoot.MutationObserver(() => {
+      // Wait for the page to be done changing the DOM in this task.
+      if (this.reanchorTimeoutId == null &&
+          this.entries.some((entry) => this.isDetached(entry))) {
+        this.reanchorTimeoutId =
+            windowOfRoot.setTimeout(() => this.reanchor(), 0);
+      }
+    });
+    this.observer.observe(root, {childList: true, subtree: true});
+  }
+
+  /**
+   * Keeps a highlighted text fragment highlighted.
+   * @param {TextFragment} textFragment - the fragment.
+   * @param {Element[]} marks - the marks created for it, e.g. by
+   *     processFragmentDirectives. Fragments without marks are ignored.
+   * @param {MarkFactory} [createMark] - creates the marks when it's marked
+   *     again, like the ones it was marked with.
+   */
+  add(textFragment, marks, createMark) {
+    if (!marks.length) {
+      return;
+    }
+    const range = this.getRangeOfMarks(marks);
+    this.entries.push({
+      textFragment: textFragment,
+      marks: marks,
+      range: range,
+      textOffset: this.getTextOffset(range),
+      reanchorsLeft: this.maxReanchors,
+      createMark: createMark,
+    });
+  }
+
+  /**
+   * @return {Element[][]} - the current marks of each fragment, in the order
+   *     the fragments were added, including the ones no longer watched.
+   */
+  getMarks() {
+    return this.entries.map((entry) => entry.marks);
+  }
+
+  /**
+   * @return {AbstractRange[]} - the range each fragment last matched, in the
+   *     order the fragments were added. It may no longer be in the document.
+   */
+  getRanges() {
+    return this.entries.map((entry) => entry.range);
+  }
+
+  /**
+   * Stops watching the DOM. The marks are left in place.
+   */
+  disconnect() {
+    this.observer.disconnect();
+    getWindowOf(this.root).clearTimeout(this.reanchorTimeoutId);
+    this.reanchorTimeoutId = null;
+  }
+
+  /**
+   * @param {{marks: Element[], reanchorsLeft: number}} entry
+   * @return {boolean} - true if some of the marks of |entry| are no longer in
+   *     the document, and it can still be looked for again.
+   */
+  isDetached(entry) {
+    return entry.reanchorsLeft > 0 &&
+        entry.marks.some((mark) => !mark.isConnected);
+  }
+
+  /**
+   * Marks the fragments whose marks were removed again, where they match now.
+   * Fragments which don't match anymore are tried again after the next
+   * changes, and the ones which were looked for too often are left as they
+   * are.
+   */
+  reanchor() {
+    this.reanchorTimeoutId = null;
+    for (const entry of this.entries) {
+      if (!this.isDetached(entry)) {
+        continue;
+      }
+      // Searches which find nothing count too.
+      entry.reanchorsLeft--;
+      const match = this.findNearestMatch(entry);
+      if (match == null) {
+        continue;
+      }
+      // Unwrap what's left of the previous marks, so that the text isn't
+      // marked twice.
+      removeMarks(
+          entry.marks.filter((mark) => mark.isConnected),
+          this.documentToProcess);
+      entry.marks =
+          markRange(match.range, this.documentToProcess, entry.createMark);
+      entry.range = match.range;
+      entry.textOffset = match.startOffset;
+      if (this.onReanchor != null) {
+        this.onReanchor(entry.textFragment, entry.marks);
+      }
+    }
+    // The marks just added aren't changes of the page.
+    this.observer.takeRecords();
+  }
+
+  /**
+   * @param {{textFragment: TextFragment, range: AbstractRange, textOffset:
+   *     number}} entry
+   * @return {MatchDescriptor|undefined} - the match of the fragment of |entry|
+   *     in the block it was last marked in, if that block is still in the
+   *     document, or else the one starting nearest to where it was in the
+   *     text of the root.
+   */
+  findNearestMatch(entry) {
+    const matches = describeMatches(
+        entry.textFragment, {normalization: this.normalization},
+        this.documentToProcess, this.root);
+    const container = entry.range.startContainer;
+    if (container.isConnected) {
+      const block = getBlockContainer(container, this.root);
+      const matchInBlock = matches.find((match) => match.block === block);
+      if (matchInBlock != null) {
+        return matchInBlock;
+      }
+    }
+    const distance = (match) => Math.abs(match.startOffset - entry.textOffset);
+    return matches.reduce(
+        (nearest, match) =>
+            nearest == null || distance(match) < distance(nearest) ? match :
+                                                                     nearest,
+        undefined);
+  }
+
+  /**
+   * @param {AbstractRange} range - a range in the root.
+   * @return {number} - where |range| starts in the text of the root, like
+   *     MatchDescriptor#startOffset.
+   */
+  getTextOffset(range) {
+    let textOffset = 0;
+    for (const node of getAllTextNodes(this.root).flat()) {
+      if (node === range.startContainer) {
+        return textOffset + range.startOffset;
+      }
+      if (compareFlatTreePointToNode(
+              range.startContainer, range.startOffset, node) <= 0) {
+        break;
+      }
+      textOffset += node.data.length;
+    }
+    return textOffset;
+  }
+
+  /**
+   * @param {Element[]} marks
+   * @return {AbstractRange} - the range from the first to the last mark.
+   */
+  getRangeOfMarks(marks) {
+    const range = new FlatTreeRange(this.documentToProcess);
+    range.setStartBefore(marks[0]);
+    range.setEndAfter(marks[marks.length - 1]);
+    return range.toRange();
+  }
+};
+
 /**
  * Enum indicating the result of the checkSuffix function.
  */
@@ -338,19 +2207,23 @@ const CheckSuffixResult = {
  * Checks to see if potentialMatch satisfies the suffix conditions of this
  * Text Fragment.
  * @param {String} suffix - the suffix text to find
- * @param {Range} potentialMatch - the Range containing the match text.
- * @param {Range} searchRange - the Range in which to search for |suffix|.
+ * @param {FlatTreeRange} potentialMatch - the Range containing the match text.
+ * @param {FlatTreeRange} searchRange - the Range in which to search for
+ *     |suffix|.
  *     Regardless of the start boundary of this Range, nothing appearing before
  *     |potentialMatch| will be considered.
  * @param {Document} documentToProcess - document where to extract and mark
  *     fragments in.
- * @return {(typeof CheckSuffixResult)[keyof typeof CheckSuffixResult]} - enum
- *     value indicating that potentialMatch should be accepted, that the search
- *     should continue, or that the search should halt.
+ * @param {MatchOptions} [options] - its textIndex, if any, must cover
+ *     |searchRange|.
+ * @return {{status: (typeof CheckSuffixResult)[keyof typeof CheckSuffixResult],
+ *     suffixMatch: (FlatTreeRange|undefined)}} - enum value indicating that
+ *     potentialMatch should be accepted, that the search should continue, or
+ *     that the search should halt, and the suffix found if any.
  */
 const checkSuffix =
-    (suffix, potentialMatch, searchRange, documentToProcess) => {
-      const suffixRange = documentToProcess.createRange();
+    (suffix, potentialMatch, searchRange, documentToProcess, options = {}) => {
+      const suffixRange = new FlatTreeRange(documentToProcess);
       suffixRange.setStart(
           potentialMatch.endContainer,
           potentialMatch.endOffset,
@@ -358,11 +2231,11 @@ const checkSuffix =
       suffixRange.setEnd(searchRange.endContainer, searchRange.endOffset);
       advanceRangeStartToNonWhitespace(suffixRange);
 
-      const suffixMatch = findTextInRange(suffix, suffixRange);
+      const suffixMatch = findTextInRange(suffix, suffixRange, options);
       // If suffix wasn't found anywhere in the suffixRange, then there's no
       // possible match and we can stop early.
       if (suffixMatch == null) {
-        return CheckSuffixResult.NO_SUFFIX_MATCH;
+        return {status: CheckSuffixResult.NO_SUFFIX_MATCH};
       }
 
       // If suffixMatch is immediately after potentialMatch (i.e., its start
@@ -370,10 +2243,13 @@ const checkSuffix =
       // start over from the beginning.
       if (suffixMatch.compareBoundaryPoints(
               Range.START_TO_START, suffixRange) !== 0) {
-        return CheckSuffixResult.MISPLACED_SUFFIX;
+        return {
+          status: CheckSuffixResult.MISPLACED_SUFFIX,
+          suffixMatch: suffixMatch,
+        };
       }
 
-      return CheckSuffixResult.SUFFIX_MATCH;
+      return {status: CheckSuffixResult.SUFFIX_MATCH, suffixMatch: suffixMatch};
     };
 
 /**
@@ -427,13 +2303,13 @@ const advanceRangeStartToNonWhitespace = (range) => {
 
 /**
  * Creates a TreeWalker that traverses a range and emits visible text nodes in
- * the range.
- * @param {Range} range - Range to be traversed by the walker
- * @return {TreeWalker}
+ * the range, in flat tree order.
+ * @param {Range|FlatTreeRange} range - Range to be traversed by the walker
+ * @return {TreeWalker|FlatTreeWalker}
  */
 const makeTextNodeWalker =
     (range) => {
-      const walker = document.createTreeWalker(
+      const walker = createFlatTreeWalker(
           range.commonAncestorContainer,
           NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT,
           (node) => {
@@ -444,48 +2320,72 @@ const makeTextNodeWalker =
       return walker;
     }
 
+/**
+ * The default MarkFactory: creates <mark> elements with the
+ * TEXT_FRAGMENT_CSS_CLASS_NAME class.
+ * @param {Document} documentToProcess - the document of the element.
+ * @return {Element}
+ */
+export const createDefaultMark = (documentToProcess = document) => {
+  const mark = documentToProcess.createElement('mark');
+  mark.setAttribute('class', TEXT_FRAGMENT_CSS_CLASS_NAME);
+  return mark;
+};
+
 /**
  * Given a Range, wraps its text contents in one or more <mark> elements.
  * <mark> elements can't cross block boundaries, so this function walks the
  * tree to find all the relevant text nodes and wraps them.
- * @param {Range} range - the range to mark. Must start and end inside of
+ * @param {AbstractRange|FlatTreeRange} range - the range to mark, which may
+ *     start and end in different shadow trees. Must start and end inside of
  *     text nodes.
  * @param {Document} documentToProcess - document where to highlight the range.
+ * @param {MarkFactory} [createMark] - creates the elements wrapping the text,
+ *     <mark> elements by default.
  * @return {Element[]} The <mark> nodes that were created.
  */
-export const markRange = (range, documentToProcess = document) => {
+export const markRange = (range, documentToProcess = document, createMark) => {
   if (range.startContainer.nodeType != Node.TEXT_NODE ||
       range.endContainer.nodeType != Node.TEXT_NODE)
     return [];
+  const makeMark = createMark != null ? createMark : createDefaultMark;
 
   // If the range is entirely within a single node, just surround it.
   if (range.startContainer === range.endContainer) {
-    const trivialMark = documentToProcess.createElement('mark');
-    trivialMark.setAttribute('class', TEXT_FRAGMENT_CSS_CLASS_NAME);
-    range.surroundContents(trivialMark);
+    const trivialMark =
+        makeMark(documentToProcess, {isStart: true, isEnd: true});
+    const nodeRange = documentToProcess.createRange();
+    nodeRange.setStart(range.startContainer, range.startOffset);
+    nodeRange.setEnd(range.endContainer, range.endOffset);
+    nodeRange.surroundContents(trivialMark);
     return [trivialMark];
   }
 
   // Start node -- special case
   const startNode = range.startContainer;
-  const startNodeSubrange = range.cloneRange();
+  const startNodeSubrange = documentToProcess.createRange();
+  startNodeSubrange.setStart(startNode, range.startOffset);
   startNodeSubrange.setEndAfter(startNode);
 
   // End node -- special case
   const endNode = range.endContainer;
-  const endNodeSubrange = range.cloneRange();
+  const endNodeSubrange = documentToProcess.createRange();
   endNodeSubrange.setStartBefore(endNode);
+  endNodeSubrange.setEnd(endNode, range.endOffset);
 
   // In between nodes
   const marks = [];
-  range.setStartAfter(startNode);
-  range.setEndBefore(endNode);
-  const walker = documentToProcess.createTreeWalker(
-      range.commonAncestorContainer,
+  const innerRange = new FlatTreeRange(documentToProcess);
+  innerRange.setEndBefore(endNode);
+  innerRange.setStartAfter(startNode);
+  const walker = createFlatTreeWalker(
+      innerRange.commonAncestorContainer,
       NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT,
       {
         acceptNode: function(node) {
-          if (!range.intersectsNode(node)) return NodeFilter.FILTER_REJECT;
+          if (!innerRange.intersectsNode(node)) {
+            return NodeFilter.FILTER_REJECT;
+          }
 
           if (node.nodeType === Node.TEXT_NODE ||
               BLOCK_ELEMENTS.includes(node.tagName.toUpperCase()))
@@ -497,8 +2397,7 @@ export const markRange = (range, documentToProcess = document) => {
   let node = walker.nextNode();
   while (node) {
     if (node.nodeType === Node.TEXT_NODE) {
-      const mark = documentToProcess.createElement('mark');
-      mark.setAttribute('class', TEXT_FRAGMENT_CSS_CLASS_NAME);
+      const mark = makeMark(documentToProcess, {isStart: false, isEnd: false});
       node.parentNode.insertBefore(mark, node);
       mark.appendChild(node);
       marks.push(mark);
@@ -506,11 +2405,9 @@ export const markRange = (range, documentToProcess = document) => {
     node = walker.nextNode();
   }
 
-  const startMark = documentToProcess.createElement('mark');
-  startMark.setAttribute('class', TEXT_FRAGMENT_CSS_CLASS_NAME);
+  const startMark = makeMark(documentToProcess, {isStart: true, isEnd: false});
   startNodeSubrange.surroundContents(startMark);
-  const endMark = documentToProcess.createElement('mark');
-  endMark.setAttribute('class', TEXT_FRAGMENT_CSS_CLASS_NAME);
+  const endMark = makeMark(documentToProcess, {isStart: false, isEnd: true});
   endNodeSubrange.surroundContents(endMark);
 
   return [startMark, ...marks, endMark];
@@ -539,26 +2436,68 @@ const isHiddenUntilFound = (elt) => {
 /**
  * Helper function to send `beforematch` event and reset the `hidden` attribute
  * of elements with the `hidden="until-found"` attribute from the provided
- * element up to the root. Implements
+ * element up to the root, across shadow boundaries. Implements
  * https://html.spec.whatwg.org/multipage/interaction.html#ancestor-hidden-until-found-revealing-algorithm
  * @param {Element} elt - the element to start with
  */
 const revealHiddenUntilFoundHierarchy = (elt) => {
   while (elt) {
-    if (isHiddenUntilFound(elt)) {
-      elt.dispatchEvent(new Event('beforematch'));
+    if (elt.nodeType === Node.ELEMENT_NODE && isHiddenUntilFound(elt)) {
+      const EventOfElement = getWindowOf(elt).Event;
+      elt.dispatchEvent(new EventOfElement('beforematch'));
       elt.hidden = '';
     }
-    elt = elt.parentElement;
+    elt = getFlatTreeParent(elt);
+  }
+};
+
+/**
+ * Helper function to check if a node is part of the content of a closed
+ * <details> element, i.e. a child of it other than its summary. Such content
+ * isn't rendered, but it can be found and revealed like hidden="until-found"
+ * content.
+ * @param {Node} node - the node to evaluate
+ * @return {Boolean} - true if the flat tree parent of |node| is a closed
+ *     <details> element and |node| isn't its summary.
+ */
+const isClosedDetailsContent = (node) => {
+  const parent = getFlatTreeParent(node);
+  if (parent == null || parent.nodeType !== Node.ELEMENT_NODE ||
+      parent.tagName.toUpperCase() !== 'DETAILS' || parent.open) {
+    return false;
+  }
+  // Only the first <summary> child is rendered as the summary.
+  const summary =
+      Array.from(parent.children)
+          .find((child) => child.tagName.toUpperCase() === 'SUMMARY');
+  return node !== summary;
+};
+
+/**
+ * Helper function to open the closed <details> elements containing the
+ * provided node, from the node up to the root, across shadow boundaries. The
+ * browser fires a `toggle` event at each of them. Implements
+ * https://html.spec.whatwg.org/multipage/interactive-elements.html#ancestor-details-revealing-algorithm
+ * @param {Node} node - the node to start with
+ */
+const revealDetailsHierarchy = (node) => {
+  while (node) {
+    if (isClosedDetailsContent(node)) {
+      getFlatTreeParent(node).open = true;
+    }
+    node = getFlatTreeParent(node);
   }
 };
 
 /**
  * Scrolls an element into view, following the recommendation of
  * https://wicg.github.io/scroll-to-text-fragment/#navigating-to-text-fragment
+ * Collapsed containers around it, closed <details> and hidden="until-found"
+ * elements, are expanded first.
  * @param {Element} element - Element to scroll into view.
  */
 export const scrollElementIntoView = (element) => {
+  revealDetailsHierarchy(element);
   revealHiddenUntilFoundHierarchy(element);
   const behavior = {
     behavior: 'auto',
@@ -569,7 +2508,37 @@ export const scrollElementIntoView = (element) => {
 };
 
 /**
- * Helper function to calculate the visibility of a Node based on its CSS
+ * @param {Node} node
+ * @return {Document} - the document |node| belongs to, or |node| itself if it's
+ *     a document.
+ */
+const getOwnerDocument = (node) => {
+  return node.nodeType === Node.DOCUMENT_NODE ? node : node.ownerDocument;
+};
+
+/**
+ * Returns the window of the document |node| belongs to. Nodes of a same-origin
+ * iframe come from the iframe's realm, so its constructors and computed styles
+ * must be used for them rather than the globals of this module.
+ * @param {Node} node
+ * @return {Window} - the window of |node|'s document, or the current window if
+ *     that document has none (e.g. if it was created by a DOMParser).
+ */
+const getWindowOf = (node) => {
+  return getOwnerDocument(node).defaultView || window;
+};
+
+/**
+ * A realm-independent |node instanceof HTMLElement|.
+ * @param {Node} node
+ * @return {boolean} - true if |node| is an HTMLElement of its own realm.
+ */
+const isHTMLElement = (node) => {
+  return node instanceof getWindowOf(node).HTMLElement;
+};
+
+/**
+ * Helper function to calculate the visibility of a Node based on its CSS
  * computed style. This function does not take into account the visibility of
  * the node's ancestors so even if the node is visible according to its style
  * it might not be visible on the page if one of its ancestors is not visible.
@@ -579,25 +2548,36 @@ export const scrollElementIntoView = (element) => {
  *  - non zero height, width, height and opacity
  *  - visibility not hidden
  *  - display not none
+ * Elements with hidden="until-found" are visible too, since they're revealed
+ * when scrolled to, and so is the content of closed <details> elements unless
+ * its own style hides it.
  */
 const isNodeVisible =
     (node) => {
       // Find an HTMLElement (this node or an ancestor) so we can check
       // visibility.
       let elt = node;
-      while (elt != null && !(elt instanceof HTMLElement)) elt = elt.parentNode;
+      while (elt != null && !isHTMLElement(elt)) {
+        elt = getFlatTreeParent(elt);
+      }
       if (elt != null) {
         if (isHiddenUntilFound(elt)) {
           return true;
         }
-        const nodeStyle = window.getComputedStyle(elt);
+        const nodeStyle = getWindowOf(elt).getComputedStyle(elt);
         // If the node is not rendered, just skip it.
         if (nodeStyle.visibility === 'hidden' || nodeStyle.display === 'none' ||
-            parseInt(nodeStyle.height, 10) === 0 &&
+            parseInt(nodeStyle.opacity, 10) === 0) {
+          return false;
+        }
+        // The content of a closed <details> has no size until it's opened.
+        if (isClosedDetailsContent(elt)) {
+          return true;
+        }
+        if (parseInt(nodeStyle.height, 10) === 0 &&
                 nodeStyle.overflowY != 'visible' ||
             parseInt(nodeStyle.width, 10) === 0 &&
-                nodeStyle.overflowX != 'visible' ||
-            parseInt(nodeStyle.opacity, 10) === 0) {
+                nodeStyle.overflowX != 'visible') {
           return false;
         }
       }
@@ -608,13 +2588,13 @@ const isNodeVisible =
  * Filter function for use with TreeWalkers. Rejects nodes that aren't in the
  * given range or aren't visible.
  * @param {Node} node - the Node to evaluate
- * @param {Range|undefined} range - the range in which node must fall. Optional;
- *     if null, the range check is skipped.
+ * @param {Range|FlatTreeRange|undefined} range - the range in which node must
+ *     fall. Optional; if null, the range check is skipped.
  * @return {Number} - FILTER_ACCEPT or FILTER_REJECT, to be passed along to
  *     a TreeWalker.
  */
 const acceptNodeIfVisibleInRange = (node, range) => {
-  if (range != null && !range.intersectsNode(node))
+  if (range != null && !rangeIntersectsNode(range, node))
     return NodeFilter.FILTER_REJECT;
 
   return isNodeVisible(node) ? NodeFilter.FILTER_ACCEPT :
@@ -636,7 +2616,7 @@ const acceptNodeIfVisibleInRange = (node, range) => {
  *  - FILTER_ACCEPT: Text Node visible and in range
  */
 const acceptTextNodeIfVisibleInRange = (node, range) => {
-  if (range != null && !range.intersectsNode(node))
+  if (range != null && !rangeIntersectsNode(range, node))
     return NodeFilter.FILTER_REJECT;
 
   if (!isNodeVisible(node)) {
@@ -656,353 +2636,2363 @@ const acceptTextNodeIfVisibleInRange = (node, range) => {
  *     iff there are no block element starts or ends in between them.
  */
 const getAllTextNodes = (root, range) => {
-  const blocks = [];
+  return Array.from(iterateTextNodeBlocks(root, range));
+};
+
+/**
+ * Like getAllTextNodes, but walks the DOM lazily, as the blocks are consumed.
+ * @param {Node} root - the root node in which to search
+ * @param {Range} [range] - a range restricting the scope of extraction
+ * @yield {Text[]} - the text nodes of each block, in document order.
+ */
+function* iterateTextNodeBlocks(root, range) {
   let tmp = [];
 
-  const nodes = Array.from(
-      getElementsIn(
-          root,
-          (node) => {
-            return acceptNodeIfVisibleInRange(node, range);
-          }),
+  const nodes = getElementsIn(
+      root,
+      (node) => {
+        return acceptNodeIfVisibleInRange(node, range);
+      },
   );
 
   for (const node of nodes) {
     if (node.nodeType === Node.TEXT_NODE) {
       tmp.push(node);
     } else if (
-        node instanceof HTMLElement &&
+        isHTMLElement(node) &&
         BLOCK_ELEMENTS.includes(node.tagName.toUpperCase()) && tmp.length > 0) {
       // If this is a block element, the current set of text nodes in |tmp| is
       // complete, and we need to move on to a new one.
-      blocks.push(tmp);
+      yield tmp;
       tmp = [];
     }
   }
-  if (tmp.length > 0) blocks.push(tmp);
+  if (tmp.length > 0) yield tmp;
+}
+
+/**
+ * Returns the textContent of all the textNodes and normalizes strings by
+ * replacing duplicated spaces with single space.
+ * @param {Node[]} nodes - TextNodes to get the textContent from.
+ * @param {Number} startOffset - Where to start in the first TextNode.
+ * @param {Number|undefined} endOffset Where to end in the last TextNode.
+ * @return {string} Entire text content of all the nodes, with spaces
+ *     normalized.
+ */
+const getTextContent = (nodes, startOffset, endOffset) => {
+  let str = '';
+  if (nodes.length === 1) {
+    str = nodes[0].textContent.substring(startOffset, endOffset);
+  } else {
+    str = nodes[0].textContent.substring(startOffset) +
+        nodes.slice(1, -1).reduce((s, n) => s + n.textContent, '') +
+        nodes.slice(-1)[0].textContent.substring(0, endOffset);
+  }
+  return str.replace(/[\t\n\r ]+/g, ' ');
+};
+
+/**
+ * @callback ElementFilterFunction
+ * @param {HTMLElement} element - Node to accept, reject or skip.
+ * @return {number} Either NodeFilter.FILTER_ACCEPT, NodeFilter.FILTER_REJECT
+ *     or NodeFilter.FILTER_SKIP.
+ */
+
+/**
+ * Returns all nodes inside root using the provided filter, in flat tree order.
+ * @generator
+ * @param {Node} root - Node where to start the TreeWalker.
+ * @param {ElementFilterFunction} filter - Filter provided to the TreeWalker's
+ *     acceptNode filter.
+ * @yield {HTMLElement} All elements that were accepted by filter.
+ */
+function* getElementsIn(root, filter) {
+  const treeWalker = createFlatTreeWalker(
+      root,
+      NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT,
+      filter,
+  );
+
+  const finishedSubtrees = new Set();
+  while (forwardTraverse(treeWalker, finishedSubtrees) !== null) {
+    yield treeWalker.currentNode;
+  }
+}
+
+/**
+ * A block of text in a DocumentTextIndex: the visible text nodes between two
+ * block boundaries, along with their normalized text.
+ * @typedef {Object} IndexedBlock
+ * @property {Node} container - the closest block element (or the index root)
+ *     containing the nodes.
+ * @property {Text[]} nodes - the text nodes, in document order.
+ * @property {String} text - the normalized text of |nodes|.
+ * @property {String[]} nodeTexts - the normalized data of each node.
+ * @property {Number[]} nodeStarts - the offset in |text| where the normalized
+ *     data of each node starts.
+ */
+
+/**
+ * The changes a DocumentTextIndex tracks, in its root and in the open shadow
+ * roots inside it.
+ */
+const OBSERVER_OPTIONS = {
+  attributes: true,
+  characterData: true,
+  childList: true,
+  subtree: true,
+};
+
+/**
+ * Holds the visible text of a subtree, split in blocks and normalized, so that
+ * it can be searched many times without walking the DOM, checking visibility
+ * and normalizing text again for each search. A MutationObserver keeps it up
+ * to date: only the blocks inside the closest block element around a change
+ * are rebuilt, the next time the index is used. Style changes that don't come
+ * from a mutation inside the root, e.g. a stylesheet being added, go unnoticed.
+ * Open shadow roots are indexed in flat tree order, but a shadow root attached
+ * to an already indexed element is only noticed once its block is rebuilt.
+ * The text is indexed the first time the index is used, or by updateInSlices.
+ */
+export const DocumentTextIndex = class {
+  /**
+   * @param {Element} [root] - the subtree to index.
+   * @param {Object} [options]
+   * @param {NormalizationOptions} [options.normalization] - how the indexed
+   *     text is normalized. Searches only use the index with the same
+   *     normalization.
+   */
+  constructor(root = document.body, {normalization} = {}) {
+    this.root = root;
+    this.normalization = resolveNormalization(normalization);
+    // Elements whose blocks have to be rebuilt before the next search.
+    this.dirtyContainers = new Set();
+
+    const MutationObserverOfRoot = getWindowOf(root).MutationObserver;
+    this.observer = new MutationObserverOfRoot((records) => {
+      this.invalidate(records);
+    });
+    this.observer.observe(root, OBSERVER_OPTIONS);
+    this.blocks = [];
+    this.dirtyContainers.add(root);
+  }
+
+  /**
+   * Stops tracking changes to the DOM. The index must not be used afterwards.
+   */
+  disconnect() {
+    this.observer.disconnect();
+  }
+
+  /**
+   * Returns the blocks containing text within |range|, in flat tree order.
+   * @param {AbstractRange|FlatTreeRange} range - a range inside the index root.
+   * @return {IndexedBlock[]}
+   */
+  getBlocksInRange(range) {
+    this.update();
+
+    // Binary search for the first block not ending before the range start.
+    let low = 0;
+    let high = this.blocks.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      const nodes = this.blocks[middle].nodes;
+      const lastNode = nodes[nodes.length - 1];
+      if (compareFlatTreePoints(
+              lastNode, lastNode.length, range.startContainer,
+              range.startOffset) < 0) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    const blocks = [];
+    for (let i = low; i < this.blocks.length; i++) {
+      if (compareFlatTreePoints(
+              this.blocks[i].nodes[0], 0, range.endContainer, range.endOffset) >
+          0) {
+        break;
+      }
+      blocks.push(this.blocks[i]);
+    }
+    return blocks;
+  }
+
+  /**
+   * Records which parts of the index are affected by DOM changes.
+   * @param {MutationRecord[]} records
+   */
+  invalidate(records) {
+    for (const record of records) {
+      // Attribute changes can hide or show the target itself, which changes
+      // the block boundaries around it.
+      const changedNode =
+          record.type === 'attributes' && record.target !== this.root ?
+          record.target.parentNode :
+          record.target;
+      this.dirtyContainers.add(this.getContainer(changedNode));
+    }
+  }
+
+  /**
+   * Rebuilds the blocks affected by the DOM changes seen since the last
+   * update.
+   */
+  update() {
+    this.invalidate(this.observer.takeRecords());
+    if (!this.dirtyContainers.size) {
+      return;
+    }
+
+    const dirtyContainers = Array.from(this.dirtyContainers);
+    this.dirtyContainers.clear();
+    if (dirtyContainers.includes(this.root)) {
+      this.blocks = this.indexBlocksIn(this.root);
+      return;
+    }
+
+    // Drop the blocks of removed subtrees, then rebuild every dirty container
+    // that is still in the index root and isn't inside another one.
+    this.blocks = this.blocks.filter(
+        (block) => isFlatTreeInclusiveAncestor(this.root, block.container));
+    for (const container of dirtyContainers) {
+      if (container == null ||
+          !isFlatTreeInclusiveAncestor(this.root, container) ||
+          dirtyContainers.some(
+              (other) => other !== container && other != null &&
+                  isFlatTreeInclusiveAncestor(other, container))) {
+        continue;
+      }
+      const blocks = this.blocks.filter(
+          (block) => !isFlatTreeInclusiveAncestor(container, block.container));
+      const insertionIndex = blocks.findIndex(
+          (block) =>
+              compareFlatTreePoints(block.nodes[0], 0, container, 0) > 0);
+      blocks.splice(
+          insertionIndex === -1 ? blocks.length : insertionIndex, 0,
+          ...this.indexBlocksIn(container));
+      this.blocks = blocks;
+    }
+  }
+
+  /**
+   * Like update, but when the whole root has to be indexed, e.g. the first
+   * time, the blocks are indexed a slice at a time, yielding to the event loop
+   * in between, so that large documents don't block the main thread. Changes
+   * made to the DOM in the meantime are handled by the next update.
+   * @param {AbortSignal} [signal] - stops the update. The index is then
+   *     rebuilt the next time it's used.
+   * @return {Promise<void>} - resolves once the index is up to date, or
+   *     rejects with the reason of |signal| if it's aborted.
+   */
+  async updateInSlices(signal) {
+    throwIfAborted(signal);
+    this.invalidate(this.observer.takeRecords());
+    if (!this.dirtyContainers.has(this.root)) {
+      this.update();
+      return;
+    }
+
+    this.dirtyContainers.clear();
+    const blocks = [];
+    try {
+      let sliceStart = Date.now();
+      for (const block of this.iterateBlocksIn(this.root)) {
+        blocks.push(block);
+        if (Date.now() - sliceStart >= SLICE_DURATION_MS) {
+          await yieldToEventLoop(getWindowOf(this.root));
+          throwIfAborted(signal);
+          sliceStart = Date.now();
+        }
+      }
+    } catch (err) {
+      this.dirtyContainers.add(this.root);
+      throw err;
+    }
+    this.blocks = blocks;
+  }
+
+  /**
+   * @param {Node} node - a node in the index root.
+   * @return {Node|null} - the closest block element containing |node|, the
+   *     index root if there is none, or null if |node| isn't in the root.
+   */
+  getContainer(node) {
+    return getBlockContainer(node, this.root);
+  }
+
+  /**
+   * Starts tracking changes inside the open shadow roots in |container|, which
+   * the observer of the index root doesn't see.
+   * @param {Node} container - the index root, or a block element inside it.
+   */
+  observeShadowRootsIn(container) {
+    const walker = createFlatTreeWalker(container, NodeFilter.SHOW_ELEMENT);
+    for (let node = walker.currentNode; node != null;
+         node = walker.nextNode()) {
+      if (node.shadowRoot != null) {
+        this.observer.observe(node.shadowRoot, OBSERVER_OPTIONS);
+      }
+    }
+  }
+
+  /**
+   * @param {Node} container - the index root, or a block element inside it.
+   * @return {IndexedBlock[]} - the blocks inside |container|.
+   */
+  indexBlocksIn(container) {
+    return Array.from(this.iterateBlocksIn(container));
+  }
+
+  /**
+   * Like indexBlocksIn, but indexes the blocks lazily, as they're consumed.
+   * @param {Node} container - the index root, or a block element inside it.
+   * @yield {IndexedBlock} - the blocks inside |container|.
+   */
+  * iterateBlocksIn(container) {
+    // Text inside hidden elements isn't indexed, and the elements between the
+    // root and |container| aren't checked when walking |container|.
+    for (let node = container; node !== this.root;
+         node = getFlatTreeParent(node)) {
+      if (!isNodeVisible(node)) {
+        return;
+      }
+    }
+    this.observeShadowRootsIn(container);
+    for (const nodes of iterateTextNodeBlocks(container)) {
+      const {text, nodeTexts, nodeStarts} = normalizeBlockText(
+          nodes.map((node) => node.data), this.normalization);
+      yield {
+        container: this.getContainer(getFlatTreeParent(nodes[0])),
+        nodes: nodes,
+        text: text,
+        nodeTexts: nodeTexts,
+        nodeStarts: nodeStarts,
+      };
+    }
+  }
+};
+
+/**
+ * How many times WorkerTextMatcher#findMatches has the worker search a subtree
+ * which keeps changing during the search, before searching the DOM instead.
+ */
+const MAX_WORKER_SEARCH_ATTEMPTS = 3;
+
+/**
+ * Finds text fragments in a subtree with a worker running
+ * text-fragment-worker.js, so that normalizing and searching its text doesn't
+ * compete with the scripts of the page. Only the text nodes of the subtree are
+ * listed on the main thread, as getAllTextNodes does: the worker gets a
+ * snapshot of the data of each block's nodes, and sends back the nodes and
+ * offsets where the matches start and end, from which the ranges are built.
+ * A MutationObserver tells when the snapshot has to be sent again, before the
+ * next search, except after matches were highlighted, which doesn't change the
+ * text (see ignoreHighlightMutations). Unlike with DocumentTextIndex, changes
+ * inside shadow roots go unnoticed, as do style changes that don't come from a
+ * mutation inside the root.
+ */
+export const WorkerTextMatcher = class {
+  /**
+   * @param {Worker} worker - a worker running text-fragment-worker.js, as a
+   *     module. It isn't terminated by disconnect.
+   * @param {Element} [root] - the subtree to search.
+   * @param {Object} [options]
+   * @param {NormalizationOptions} [options.normalization] - how the text is
+   *     normalized before being compared.
+   */
+  constructor(worker, root = document.body, {normalization} = {}) {
+    this.worker = worker;
+    this.root = root;
+    this.normalization = resolveNormalization(normalization);
+    // The text nodes of each block of the snapshot sent to the worker, or null
+    // if the subtree changed since. They're listed again after highlighting
+    // splits them, which |snapshotBlocks| tells.
+    this.blocks = null;
+    this.snapshotBlocks = null;
+    // The data of the text nodes of each block sent to the worker.
+    this.snapshot = null;
+    this.nextRequestId = 0;
+    // Why the worker can't search anymore, e.g. because it failed to load.
+    this.error = null;
+    // The resolve and reject functions of the searches the worker hasn't
+    // answered yet, by request id.
+    this.pendingRequests = new Map();
+
+    this.onMessage = (event) => {
+      this.handleResponse(event.data);
+    };
+    this.onError = () => {
+      this.error = new Error('The text matcher worker failed.');
+      this.rejectPendingRequests(this.error);
+    };
+    worker.addEventListener('message', this.onMessage);
+    worker.addEventListener('error', this.onError);
+
+    const MutationObserverOfRoot = getWindowOf(root).MutationObserver;
+    this.observer = new MutationObserverOfRoot(() => {
+      this.blocks = null;
+    });
+    this.observer.observe(root, OBSERVER_OPTIONS);
+  }
+
+  /**
+   * Stops tracking changes to the DOM and listening to the worker. Pending
+   * searches are rejected, and the matcher must not be used afterwards.
+   */
+  disconnect() {
+    this.observer.disconnect();
+    this.worker.removeEventListener('message', this.onMessage);
+    this.worker.removeEventListener('error', this.onError);
+    this.error = new Error('The text matcher was disconnected.');
+    this.rejectPendingRequests(this.error);
+  }
+
+  /**
+   * Finds the matches of a text fragment in the subtree, like findAllMatches,
+   * or like processTextFragmentDirective without distinctMatches.
+   * @param {TextFragment} textFragment - Text Fragment to find.
+   * @param {Object} [options]
+   * @param {number} [options.limit] - stop after finding this many matches.
+   *     Unlimited by default.
+   * @param {boolean} [options.distinctMatches] - see findTextFragmentMatches.
+   *     True by default.
+   * @param {AbortSignal} [options.signal] - stops the search.
+   * @return {Promise<AbstractRange[]>} - resolves with the matching ranges, in
+   *     flat tree order, or rejects if the worker failed or with the reason of
+   *     |options.signal| if it's aborted.
+   */
+  async findMatches(
+      textFragment, {limit = Infinity, distinctMatches = true, signal} = {}) {
+    // If the subtree changes while the worker searches, the offsets it sends
+    // back may not fit the nodes anymore, so the search is done again, and
+    // then on the main thread if the subtree keeps changing.
+    for (let attempt = 0; attempt < MAX_WORKER_SEARCH_ATTEMPTS; attempt++) {
+      throwIfAborted(signal);
+      this.sendSnapshotIfOutdated();
+      const blocks = this.blocks;
+      const matches = await rejectOnAbort(
+          this.request({
+            type: 'match',
+            textFragment: {
+              prefix: textFragment.prefix,
+              textStart: textFragment.textStart,
+              textEnd: textFragment.textEnd,
+              suffix: textFragment.suffix,
+            },
+            limit: limit,
+            distinctMatches: distinctMatches,
+          }),
+          signal);
+      this.takeMutationRecords();
+      if (this.blocks === blocks) {
+        return matches.map((match) => this.toRange(match, blocks));
+      }
+    }
+    return findTextFragmentMatches(
+        textFragment, getOwnerDocument(this.root), this.root, limit,
+        distinctMatches, {normalization: this.normalization, signal: signal});
+  }
+
+  /**
+   * Invalidates the snapshot if the subtree changed, without waiting for the
+   * MutationObserver callback.
+   */
+  takeMutationRecords() {
+    if (this.observer.takeRecords().length) {
+      this.blocks = null;
+    }
+  }
+
+  /**
+   * Keeps the snapshot after matches were highlighted in the subtree. Marks
+   * split text nodes and wrap them without changing the text, so the worker
+   * can go on searching it: only the text nodes are listed again, to map the
+   * offsets of the worker to them. The snapshot is sent again before the next
+   * search if the text changed after all.
+   */
+  ignoreHighlightMutations() {
+    this.observer.takeRecords();
+    if (this.blocks == null || this.error != null) {
+      return;
+    }
+    const blocks = getAllTextNodes(this.root);
+    const isSameText = blocks.length === this.snapshot.length &&
+        blocks.every(
+            (nodes, i) => nodes.map((node) => node.data).join('') ===
+                this.snapshot[i].join(''));
+    this.blocks = isSameText ? blocks : null;
+  }
+
+  /**
+   * Sends the text of the subtree to the worker, unless the worker already has
+   * it.
+   */
+  sendSnapshotIfOutdated() {
+    this.takeMutationRecords();
+    if (this.blocks != null) {
+      return;
+    }
+    this.blocks = getAllTextNodes(this.root);
+    this.snapshotBlocks = this.blocks;
+    this.snapshot = this.blocks.map((nodes) => nodes.map((node) => node.data));
+    this.worker.postMessage({
+      type: 'snapshot',
+      blocks: this.snapshot,
+      locale: getOwnerDocument(this.root).documentElement.lang ||
+          navigator.language,
+      normalization: this.normalization,
+    });
+  }
+
+  /**
+   * @param {Object} message - the request to send to the worker.
+   * @return {Promise<*>} - resolves with the response of the worker, or
+   *     rejects if it failed.
+   */
+  request(message) {
+    if (this.error != null) {
+      return Promise.reject(this.error);
+    }
+    const id = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      this.pendingRequests.set(id, {resolve: resolve, reject: reject});
+      this.worker.postMessage({...message, id: id});
+    });
+  }
+
+  /**
+   * @param {{id: number, matches: (Array|undefined), error:
+   *     (string|undefined)}} response - a message from the worker.
+   */
+  handleResponse(response) {
+    const pendingRequest = this.pendingRequests.get(response.id);
+    if (pendingRequest == null) {
+      return;
+    }
+    this.pendingRequests.delete(response.id);
+    if (response.error != null) {
+      pendingRequest.reject(new Error(response.error));
+    } else {
+      pendingRequest.resolve(response.matches);
+    }
+  }
+
+  /**
+   * @param {Error} error - the reason the searches failed.
+   */
+  rejectPendingRequests(error) {
+    for (const pendingRequest of this.pendingRequests.values()) {
+      pendingRequest.reject(error);
+    }
+    this.pendingRequests.clear();
+  }
+
+  /**
+   * @param {{start: NodeOffset, end: NodeOffset}} match - a match, as sent by
+   *     the worker.
+   * @param {Array<Text[]>} blocks - the text nodes of the snapshot searched.
+   * @return {AbstractRange}
+   */
+  toRange(match, blocks) {
+    const range = new FlatTreeRange(getOwnerDocument(this.root));
+    range.setStart(...this.toBoundaryPoint(match.start, blocks, false));
+    range.setEnd(...this.toBoundaryPoint(match.end, blocks, true));
+    return range.toRange();
+  }
+
+  /**
+   * @param {NodeOffset} point - a boundary point in the snapshot.
+   * @param {Array<Text[]>} blocks - the text nodes of the snapshot searched,
+   *     which may have been split since it was sent.
+   * @param {boolean} isEnd - whether |point| ends a match. If so, it's kept at
+   *     the end of a node rather than moved to the start of the next one.
+   * @return {Array} - the node of |blocks| and the offset in it of |point|.
+   */
+  toBoundaryPoint(point, blocks, isEnd) {
+    if (blocks === this.snapshotBlocks) {
+      return [blocks[point.block][point.node], point.offset];
+    }
+    const snapshotNodes = this.snapshot[point.block];
+    let offset = point.offset;
+    for (let i = 0; i < point.node; i++) {
+      offset += snapshotNodes[i].length;
+    }
+    const nodes = blocks[point.block];
+    let i = 0;
+    while (i < nodes.length - 1 &&
+           (isEnd ? offset > nodes[i].length : offset >= nodes[i].length)) {
+      offset -= nodes[i].length;
+      i++;
+    }
+    return [nodes[i], offset];
+  }
+};
+
+/**
+ * A boundary point in a snapshot of the text of a subtree.
+ * @typedef {Object} NodeOffset
+ * @property {Number} block - the index of the block.
+ * @property {Number} node - the index of the text node in the block.
+ * @property {Number} offset - the offset in the data of the node.
+ */
+
+/**
+ * Like findTextInRange, but searches the text of |textIndex| instead of
+ * walking the DOM.
+ * @param {String} query - the string to find
+ * @param {Range|FlatTreeRange} range - the range in which to search. Must be
+ *     inside the index root.
+ * @param {DocumentTextIndex} textIndex - the index of the text around |range|.
+ * @return {FlatTreeRange|undefined} - The first found instance of |query|
+ *     within |range|.
+ */
+const findTextInIndexedRange = (query, range, textIndex) => {
+  if (!query) return undefined;
+  const normalization = textIndex.normalization;
+  const normalizedQuery = normalizeString(query, normalization);
+  const segmenter = makeNewSegmenter(getOwnerDocument(range.startContainer));
+
+  for (const block of textIndex.getBlocksInRange(range)) {
+    const nodeIndex =
+        block.nodes.findIndex((node) => rangeIntersectsNode(range, node));
+    if (nodeIndex === -1) continue;
+    const node = block.nodes[nodeIndex];
+    const startOffset = node === range.startContainer ? range.startOffset : 0;
+    const blockOffset = block.nodeStarts[nodeIndex] +
+        getNormalizedOffset(node.data, startOffset, normalization);
+
+    // As in findRangeFromNodeList, the search space starts at the range start,
+    // which therefore counts as a word boundary.
+    const data = block.text.substring(blockOffset);
+    let searchStart = 0;
+    while (searchStart < data.length) {
+      const matchIndex = data.indexOf(normalizedQuery, searchStart);
+      if (matchIndex === -1) break;
+      if (isWordBounded(data, matchIndex, normalizedQuery.length, segmenter)) {
+        const start = getBoundaryPointInBlock(
+            blockOffset + matchIndex, block,
+            /* isEnd=*/ false, normalization);
+        const end = getBoundaryPointInBlock(
+            blockOffset + matchIndex + normalizedQuery.length, block,
+            /* isEnd=*/ true, normalization);
+        if (start != null && end != null) {
+          const foundRange = toFlatTreeRange(range);
+          foundRange.setStart(start.node, start.offset);
+          foundRange.setEnd(end.node, end.offset);
+
+          // Verify that |foundRange| is a subrange of |range|
+          if (compareFlatTreePoints(
+                  range.startContainer, range.startOffset, start.node,
+                  start.offset) <= 0 &&
+              compareFlatTreePoints(
+                  range.endContainer, range.endOffset, end.node, end.offset) >=
+                  0) {
+            return foundRange;
+          }
+        }
+      }
+      searchStart = matchIndex + 1;
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Finds the substring of the given blocks' text with the smallest edit distance
+ * to |pattern|.
+ * @param {String} pattern - the normalized text to find.
+ * @param {IndexedBlock[]} blocks - the blocks to search.
+ * @param {Number} blockIndex - the index of the first block to search.
+ * @param {Number} offset - where to start searching in that block.
+ * @param {Number} maxDistance - the largest acceptable edit distance.
+ * @return {{blockIndex: Number, start: Number, end: Number, distance: Number}|
+ *     null} - the closest substring, the first one in case of a tie, or null
+ *     if none is close enough.
+ */
+const findClosestSubstringInBlocks =
+    (pattern, blocks, blockIndex, offset, maxDistance) => {
+      if (maxDistance < 0) return null;
+      let best = null;
+      for (let i = blockIndex; i < blocks.length; i++) {
+        const match = findClosestSubstring(
+            pattern, blocks[i].text, i === blockIndex ? offset : 0,
+            best == null ? maxDistance : best.distance - 1);
+        if (match != null) {
+          best = {blockIndex: i, ...match};
+          if (best.distance === 0) break;
+        }
+      }
+      return best;
+    };
+
+/**
+ * Finds the pair of substrings of the given blocks' text, the second one after
+ * the first, whose edit distances to |firstPattern| and |secondPattern| add up
+ * to the smallest total.
+ * @param {String} firstPattern - the normalized text of the first substring.
+ * @param {String} secondPattern - the normalized text of the second substring.
+ * @param {IndexedBlock[]} blocks - the blocks to search.
+ * @param {Number} maxDistance - the largest acceptable total edit distance.
+ * @return {Array<{blockIndex: Number, start: Number, end: Number, distance:
+ *     Number}>|null} - the closest pair, the first one in case of a tie, or
+ *     null if none is close enough.
+ */
+const findClosestPairInBlocks =
+    (firstPattern, secondPattern, blocks, maxDistance) => {
+      let best = null;
+      let bestDistance = maxDistance + 1;
+      for (let i = 0; i < blocks.length && bestDistance > 0; i++) {
+        const firstMatches =
+            findCloseSubstrings(firstPattern, blocks[i].text, 0, maxDistance);
+        for (const firstMatch of firstMatches) {
+          // Only look for pairs closer than the best one so far.
+          const secondMatch = findClosestSubstringInBlocks(
+              secondPattern, blocks, i, firstMatch.end,
+              bestDistance - 1 - firstMatch.distance);
+          if (secondMatch != null) {
+            best = [{blockIndex: i, ...firstMatch}, secondMatch];
+            bestDistance = firstMatch.distance + secondMatch.distance;
+            if (bestDistance === 0) break;
+          }
+        }
+      }
+      return best;
+    };
+
+/**
+ * Runs Sellers' algorithm with Ukkonen's cut-off over |text|, so that the work
+ * done for each character of |text| is proportional to |maxDistance| rather
+ * than to the length of |pattern|, and reports the closest substring ending at
+ * each position where one is close enough.
+ * @param {String} pattern - the string to find.
+ * @param {String} text - the string to search.
+ * @param {Number} from - where to start searching in |text|.
+ * @param {Number} maxDistance - the largest acceptable edit distance.
+ * @param {function(Number, Number, Number): boolean} onSubstring - called with
+ *     the start, end and distance of each substring found, in order of their
+ *     end. The search stops when it returns true.
+ */
+const scanCloseSubstrings = (pattern, text, from, maxDistance, onSubstring) => {
+  if (maxDistance < 0) return;
+  const tooFar = maxDistance + 1;
+  // costs[i] is the edit distance between the first i characters of |pattern|
+  // and the closest substring of |text| ending at the current position, and
+  // starts[i] where that substring starts. Distances are capped at |tooFar|.
+  // Rows after lastActive + 1 are never read, so they aren't kept up to date.
+  let costs = new Array(pattern.length + 1);
+  let starts = new Array(pattern.length + 1);
+  let newCosts = new Array(pattern.length + 1);
+  let newStarts = new Array(pattern.length + 1);
+  for (let i = 0; i <= pattern.length; i++) {
+    costs[i] = Math.min(i, tooFar);
+    starts[i] = from;
+  }
+  // The last row whose cost is within |maxDistance|; rows below it can't get
+  // any closer.
+  let lastActive = Math.min(pattern.length, maxDistance);
+
+  for (let j = from; j < text.length; j++) {
+    newCosts[0] = 0;
+    newStarts[0] = j + 1;
+    const rows = Math.min(pattern.length, lastActive + 1);
+    for (let i = 1; i <= rows; i++) {
+      // Either match |pattern[i - 1]| with |text[j]|, skip |text[j]|, or skip
+      // |pattern[i - 1]|.
+      let cost = costs[i - 1] + (pattern[i - 1] === text[j] ? 0 : 1);
+      let start = starts[i - 1];
+      if (costs[i] + 1 < cost) {
+        cost = costs[i] + 1;
+        start = starts[i];
+      }
+      if (newCosts[i - 1] + 1 < cost) {
+        cost = newCosts[i - 1] + 1;
+        start = newStarts[i - 1];
+      }
+      newCosts[i] = Math.min(cost, tooFar);
+      newStarts[i] = start;
+    }
+    if (rows < pattern.length) {
+      newCosts[rows + 1] = tooFar;
+    }
+    [costs, newCosts] = [newCosts, costs];
+    [starts, newStarts] = [newStarts, starts];
+
+    lastActive = rows;
+    while (lastActive > 0 && costs[lastActive] > maxDistance) {
+      lastActive--;
+    }
+    if (lastActive === pattern.length &&
+        onSubstring(starts[lastActive], j + 1, costs[lastActive])) {
+      return;
+    }
+  }
+};
+
+/**
+ * Finds the substring of |text| with the smallest edit distance to |pattern|.
+ * @param {String} pattern - the string to find.
+ * @param {String} text - the string to search.
+ * @param {Number} from - where to start searching in |text|.
+ * @param {Number} maxDistance - the largest acceptable edit distance.
+ * @return {{start: Number, end: Number, distance: Number}|null} - the closest
+ *     substring, the first one in case of a tie, or null if none is close
+ *     enough.
+ */
+const findClosestSubstring = (pattern, text, from, maxDistance) => {
+  let best = null;
+  scanCloseSubstrings(
+      pattern, text, from, maxDistance, (start, end, distance) => {
+        if (best == null || distance < best.distance) {
+          best = {start: start, end: end, distance: distance};
+        }
+        return distance === 0;
+      });
+  return best;
+};
+
+/**
+ * Finds the substrings of |text| which are close enough to |pattern|. Of
+ * overlapping substrings, only the closest one is kept, so that each
+ * approximate occurrence of |pattern| is found once.
+ * @param {String} pattern - the string to find.
+ * @param {String} text - the string to search.
+ * @param {Number} from - where to start searching in |text|.
+ * @param {Number} maxDistance - the largest acceptable edit distance.
+ * @return {Array<{start: Number, end: Number, distance: Number}>} - the
+ *     substrings, in order, the first one of overlapping ones in case of a tie.
+ */
+const findCloseSubstrings = (pattern, text, from, maxDistance) => {
+  const substrings = [];
+  scanCloseSubstrings(
+      pattern, text, from, maxDistance, (start, end, distance) => {
+        const last = substrings[substrings.length - 1];
+        if (last == null || start >= last.end) {
+          substrings.push({start: start, end: end, distance: distance});
+        } else if (distance < last.distance) {
+          substrings[substrings.length - 1] = {
+            start: start,
+            end: end,
+            distance: distance
+          };
+        }
+        return false;
+      });
+  return substrings;
+};
+
+/**
+ * Normalizes the text of a block, and finds where the text of each of its
+ * nodes starts in it.
+ * @param {String[]} nodeData - the data of the text nodes of the block.
+ * @param {NormalizationOptions} [normalization] - how the text is normalized.
+ * @return {{text: String, nodeTexts: String[], nodeStarts: Number[]}} - the
+ *     normalized text of the block and of each node, and the offsets in the
+ *     former where the latter start.
+ */
+const normalizeBlockText = (nodeData, normalization) => {
+  const nodeTexts =
+      nodeData.map((data) => normalizeString(data, normalization));
+  const nodeStarts = [];
+  let counted = 0;
+  for (let i = 0; i < nodeTexts.length; i++) {
+    // As in getBoundaryPointAtIndex, whitespace or dashes at the end of a node
+    // and at the start of the next one collapse into a single char.
+    if (i > 0 && collapsesAcrossNodes(nodeTexts[i - 1], nodeTexts[i])) {
+      counted -= 1;
+    }
+    nodeStarts.push(counted);
+    counted += nodeTexts[i].length;
+  }
+  return {
+    text: normalizeString(
+        nodeData.join('').replace(/[\t\n\r ]+/g, ' '), normalization),
+    nodeTexts: nodeTexts,
+    nodeStarts: nodeStarts,
+  };
+};
+
+/**
+ * Like getBoundaryPointAtIndex, using the normalized text stored in the index.
+ * @param {Number} index - the offset in the normalized text of |block|.
+ * @param {IndexedBlock} block - the block containing the offset.
+ * @param {bool} isEnd - indicates whether the offset is the start or end of the
+ *     substring
+ * @param {NormalizationOptions} [normalization] - how the text of |block| was
+ *     normalized.
+ * @return {BoundaryPoint|undefined} - a boundary point suitable for setting as
+ *     the start or end of a Range, or undefined if |index| is past the end of
+ *     |block|.
+ */
+const getBoundaryPointInBlock = (index, block, isEnd, normalization) => {
+  for (let i = 0; i < block.nodes.length; i++) {
+    const nodeEnd =
+        block.nodeStarts[i] + block.nodeTexts[i].length + (isEnd ? 1 : 0);
+    if (nodeEnd > index) {
+      const node = block.nodes[i];
+      return getBoundaryPointInNode(
+          node, normalizeStringWithOffsets(node.data, normalization),
+          index - block.nodeStarts[i], isEnd);
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Returns a range pointing to the first instance of |query| within |range|.
+ * @param {String} query - the string to find
+ * @param {Range|FlatTreeRange} range - the range in which to search
+ * @param {MatchOptions} [options] - if it has a textIndex built with the same
+ *     normalization, and |range| is inside its root, the index is searched
+ *     instead of the DOM.
+ * @return {FlatTreeRange|undefined} - The first found instance of |query|
+ *     within |range|.
+ */
+const findTextInRange = (query, range, options = {}) => {
+  const {textIndex, normalization} = options;
+  if (textIndex != null &&
+      isSameNormalization(textIndex.normalization, normalization) &&
+      isFlatTreeInclusiveAncestor(
+          textIndex.root, range.commonAncestorContainer)) {
+    return findTextInIndexedRange(query, range, textIndex);
+  }
+
+  const textNodeLists = getAllTextNodes(range.commonAncestorContainer, range);
+  const segmenter = makeNewSegmenter(getOwnerDocument(range.startContainer));
+
+  for (const list of textNodeLists) {
+    const found =
+        findRangeFromNodeList(query, range, list, segmenter, normalization);
+    if (found !== undefined) return found;
+  }
+  return undefined;
+};
+
+/**
+ * Finds a range pointing to the first instance of |query| within |range|,
+ * searching over the text contained in a list |nodeList| of relevant textNodes.
+ * @param {String} query - the string to find
+ * @param {Range|FlatTreeRange} range - the range in which to search
+ * @param {Node[]} textNodes - the visible text nodes within |range|
+ * @param {Intl.Segmenter} [segmenter] - a segmenter to be used for finding word
+ *     boundaries, if supported
+ * @param {NormalizationOptions} [normalization] - how |query| and the text are
+ *     normalized before being compared.
+ * @return {FlatTreeRange|undefined} - the found range, or undefined if no such
+ *     range could be found
+ */
+const findRangeFromNodeList =
+    (query, range, textNodes, segmenter, normalization) => {
+      if (!query || !range || !(textNodes || []).length) return undefined;
+      const startOffset =
+          textNodes[0] === range.startContainer ? range.startOffset : 0;
+      const data = normalizeString(
+          getTextContent(textNodes, startOffset, undefined), normalization);
+      const normalizedQuery = normalizeString(query, normalization);
+      let searchStart = 0;
+      let start;
+      let end;
+      while (searchStart < data.length) {
+        const matchIndex = data.indexOf(normalizedQuery, searchStart);
+        if (matchIndex === -1) return undefined;
+        if (isWordBounded(
+                data, matchIndex, normalizedQuery.length, segmenter)) {
+          const normalizedStartOffset = getNormalizedOffset(
+              textNodes[0].data, startOffset, normalization);
+          start = getBoundaryPointAtIndex(
+              normalizedStartOffset + matchIndex, textNodes, /* isEnd=*/ false,
+              normalization);
+          end = getBoundaryPointAtIndex(
+              normalizedStartOffset + matchIndex + normalizedQuery.length,
+              textNodes,
+              /* isEnd=*/ true,
+              normalization,
+          );
+        }
+
+        if (start != null && end != null) {
+          const foundRange = new FlatTreeRange(start.node.ownerDocument);
+          foundRange.setStart(start.node, start.offset);
+          foundRange.setEnd(end.node, end.offset);
+
+          // Verify that |foundRange| is a subrange of |range|
+          if (compareFlatTreePoints(
+                  range.startContainer, range.startOffset, start.node,
+                  start.offset) <= 0 &&
+              compareFlatTreePoints(
+                  range.endContainer, range.endOffset, end.node, end.offset) >=
+                  0) {
+            return foundRange;
+          }
+        }
+        searchStart = matchIndex + 1;
+      }
+      return undefined;
+    };
+
+/**
+ * Provides the data needed for calling setStart/setEnd on a Range.
+ * @typedef {Object} BoundaryPoint
+ * @property {Node} node
+ * @property {Number} offset
+ */
+
+/**
+ * @param {String} normalizedData - the normalized data of a text node.
+ * @param {String} nextNormalizedData - the normalized data of the next one.
+ * @return {boolean} - true if the last char of |normalizedData| and the first
+ *     one of |nextNormalizedData| collapse into a single char when the text of
+ *     both nodes is normalized together.
+ */
+const collapsesAcrossNodes = (normalizedData, nextNormalizedData) => {
+  const lastChar = normalizedData.slice(-1);
+  return (lastChar === ' ' || lastChar === '-') &&
+      nextNormalizedData.slice(0, 1) === lastChar;
+};
+
+/**
+ * Generates a boundary point pointing to the given text position.
+ * @param {Number} index - the text offset indicating the start/end of a
+ *     substring of the concatenated, normalized text in |textNodes|
+ * @param {Node[]} textNodes - the text Nodes whose contents make up the search
+ *     space
+ * @param {bool} isEnd - indicates whether the offset is the start or end of the
+ *     substring
+ * @param {NormalizationOptions} [normalization] - how the text of |textNodes|
+ *     was normalized.
+ * @return {BoundaryPoint|undefined} - a boundary point suitable for setting as
+ *     the start or end of a Range, or undefined if |index| is past the end of
+ *     |textNodes|.
+ */
+const getBoundaryPointAtIndex = (index, textNodes, isEnd, normalization) => {
+  let counted = 0;
+  let normalizedData;
+  for (let i = 0; i < textNodes.length; i++) {
+    const node = textNodes[i];
+    if (!normalizedData) {
+      normalizedData = normalizeStringWithOffsets(node.data, normalization);
+    }
+    let nodeEnd = counted + normalizedData.text.length;
+    if (isEnd) nodeEnd += 1;
+    if (nodeEnd > index) {
+      // |index| falls within this node, but we need to turn the offset in the
+      // normalized data into an offset in the real node data.
+      return getBoundaryPointInNode(
+          node, normalizedData, index - counted, isEnd);
+    }
+    counted += normalizedData.text.length;
+
+    if (i + 1 < textNodes.length) {
+      // Edge case: if this node ends with a whitespace character or a dash
+      // and the next node starts with the same, they'll be double-counted
+      // relative to the normalized version. Subtract 1 from |counted| to
+      // compensate.
+      const nextNormalizedData =
+          normalizeStringWithOffsets(textNodes[i + 1].data, normalization);
+      if (collapsesAcrossNodes(normalizedData.text, nextNormalizedData.text)) {
+        counted -= 1;
+      }
+      // Since we already normalized the next node's data, hold on to it for the
+      // next iteration.
+      normalizedData = nextNormalizedData;
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Turns an offset in the normalized data of a text node into a boundary point
+ * in the node's real data. Offsets within the normalized form of a grapheme
+ * cluster, e.g. between the 'f' and the 'i' of 'ﬁ', are moved to the start
+ * or end of the cluster, so that the substring covers it. Invisible chars
+ * normalize to nothing, so they're left out of the substring.
+ * @param {Text} node - the text node.
+ * @param {NormalizedString} normalizedData - the normalized data of |node|.
+ * @param {Number} normalizedOffset - the offset in the normalized data.
+ * @param {bool} isEnd - indicates whether the offset is the start or end of a
+ *     substring.
+ * @return {BoundaryPoint} - the boundary point.
+ */
+const getBoundaryPointInNode =
+    (node, normalizedData, normalizedOffset, isEnd) => {
+      const {text, starts, ends} = normalizedData;
+      if (isEnd) {
+        const length = Math.min(normalizedOffset, text.length);
+        return {node: node, offset: length > 0 ? ends[length - 1] : 0};
+      }
+      const offset = normalizedOffset < text.length ? starts[normalizedOffset] :
+                                                      node.data.length;
+      return {node: node, offset: offset};
+    };
+
+/**
+ * Checks if a substring is word-bounded in the context of a longer string.
+ *
+ * If an Intl.Segmenter is provided for locale-specific segmenting, it will be
+ * used for this check. This is the most desirable option, but not supported in
+ * all browsers.
+ *
+ * If one is not provided, a heuristic will be applied,
+ * returning true iff:
+ *  - startPos == 0 OR char before start is a boundary char, AND
+ *  - length indicates end of string OR char after end is a boundary char
+ * Where boundary chars are whitespace/punctuation defined in the const above.
+ * This causes the known issue that some languages, notably Japanese, only match
+ * at the level of roughly a full clause or sentence, rather than a word.
+ *
+ * @param {String} text - the text to search
+ * @param {Number} startPos - the index of the start of the substring
+ * @param {Number} length - the length of the substring
+ * @param {Intl.Segmenter} [segmenter] - a segmenter to be used for finding word
+ *     boundaries, if supported
+ * @return {boolean} - true iff startPos and length point to a word-bounded
+ *     substring of |text|.
+ */
+const isWordBounded = (text, startPos, length, segmenter) => {
+  if (startPos < 0 || startPos >= text.length || length <= 0 ||
+      startPos + length > text.length) {
+    return false;
+  }
+
+  if (segmenter) {
+    // If the Intl.Segmenter API is available on this client, use it for more
+    // reliable word boundary checking.
+
+    const segments = segmenter.segment(text);
+    const startSegment = segments.containing(startPos);
+    if (!startSegment) return false;
+    // If the start index is inside a word segment but not the first character
+    // in that segment, it's not word-bounded. If it's not a word segment, then
+    // it's punctuation, etc., so that counts for word bounding.
+    if (startSegment.isWordLike && startSegment.index != startPos) return false;
+
+    // |endPos| points to the first character outside the target substring.
+    const endPos = startPos + length;
+    const endSegment = segments.containing(endPos);
+
+    // If there's no end segment found, it's because we're at the end of the
+    // text, which is a valid boundary. (Because of the preconditions we
+    // checked above, we know we aren't out of range.)
+    // If there's an end segment found but it's non-word-like, that's also OK,
+    // since punctuation and whitespace are acceptable boundaries.
+    // Lastly, if there's an end segment and it is word-like, then |endPos|
+    // needs to point to the start of that new word, or |endSegment.index|.
+    if (endSegment && endSegment.isWordLike && endSegment.index != endPos)
+      return false;
+  } else {
+    // We don't have Intl.Segmenter support, so fall back to checking whether or
+    // not the substring is flanked by boundary characters.
+
+    // If the first character is already a boundary, move it once.
+    if (text[startPos].match(BOUNDARY_CHARS)) {
+      ++startPos;
+      --length;
+      if (!length) {
+        return false;
+      }
+    }
+
+    // If the last character is already a boundary, move it once.
+    if (text[startPos + length - 1].match(BOUNDARY_CHARS)) {
+      --length;
+      if (!length) {
+        return false;
+      }
+    }
+
+    if (startPos !== 0 && (!text[startPos - 1].match(BOUNDARY_CHARS)))
+      return false;
+
+    if (startPos + length !== text.length &&
+        !text[startPos + length].match(BOUNDARY_CHARS))
+      return false;
+  }
+
+  return true;
+};
+
+/**
+ * @param {NormalizationOptions} [normalization]
+ * @return {{caseSensitive: boolean, stripDiacritics: boolean, locale: (string|
+ *     undefined)}} - |normalization|, with defaults for the missing options.
+ */
+const resolveNormalization = (normalization = {}) => {
+  return {
+    caseSensitive: Boolean(normalization.caseSensitive),
+    stripDiacritics: normalization.stripDiacritics !== false,
+    locale: normalization.locale || undefined,
+  };
+};
+
+/**
+ * @param {NormalizationOptions} [a]
+ * @param {NormalizationOptions} [b]
+ * @return {boolean} - true if strings are normalized the same way with |a| and
+ *     with |b|.
+ */
+const isSameNormalization = (a, b) => {
+  const resolvedA = resolveNormalization(a);
+  const resolvedB = resolveNormalization(b);
+  return resolvedA.caseSensitive === resolvedB.caseSensitive &&
+      resolvedA.stripDiacritics === resolvedB.stripDiacritics &&
+      (resolvedA.caseSensitive || resolvedA.locale === resolvedB.locale);
+};
+
+/**
+ * Formatting characters which aren't rendered, like soft hyphens and zero-width
+ * spaces, and are ignored when matching text.
+ */
+const INVISIBLE_CHARS = /[\u00ad\u200b-\u200d\u2060\ufeff]/g;
+
+/**
+ * @param {String} str
+ * @return {String} - |str| without the characters in INVISIBLE_CHARS.
+ */
+const removeInvisibleChars = (str) => {
+  return str.replace(INVISIBLE_CHARS, '');
+};
+
+/**
+ * Characters which are typed differently depending on the keyboard or on the
+ * app the text went through, e.g. one replacing straight quotes with curly
+ * ones, and their replacement in normalized strings. NFKD normalization
+ * already takes care of NBSP and ligatures like 'ﬁ'.
+ */
+const TYPOGRAPHIC_EQUIVALENTS = {
+  // Single quotes and apostrophes.
+  '\u2018': '\'',
+  '\u2019': '\'',
+  '\u201a': '\'',
+  '\u201b': '\'',
+  '\u02bc': '\'',
+  // Double quotes.
+  '\u201c': '"',
+  '\u201d': '"',
+  '\u201e': '"',
+  '\u201f': '"',
+  // Hyphens, dashes and the minus sign. Runs of them are then collapsed, so
+  // that '--' matches an em dash.
+  '\u2010': '-',
+  '\u2011': '-',
+  '\u2012': '-',
+  '\u2013': '-',
+  '\u2014': '-',
+  '\u2015': '-',
+  '\u2212': '-',
+  // Ligatures that aren't decomposed by NFKD, and the sharp s.
+  '\u00c6': 'AE',
+  '\u00e6': 'ae',
+  '\u0152': 'OE',
+  '\u0153': 'oe',
+  '\u00df': 'ss',
+  '\u1e9e': 'SS',
+};
+
+const TYPOGRAPHIC_EQUIVALENTS_REGEX =
+    new RegExp(`[${Object.keys(TYPOGRAPHIC_EQUIVALENTS).join('')}]`, 'g');
+
+/**
+ * A normalized string, along with where each of its chars comes from in the
+ * original string. Since normalization may change the length of a string, e.g.
+ * 'ﬁ' becomes 'fi' and a Hangul syllable becomes its two or three jamo, chars
+ * are mapped to the grapheme cluster they come from.
+ * @typedef {Object} NormalizedString
+ * @property {String} text - the normalized string.
+ * @property {Number[]} starts - for each char of |text|, the offset in the
+ *     original string where its grapheme cluster starts.
+ * @property {Number[]} ends - for each char of |text|, the offset in the
+ *     original string where its grapheme cluster ends.
+ */
+
+/**
+ * @param {String} str - a string to be normalized
+ * @param {NormalizationOptions} [normalization] - how to normalize |str|. By
+ *     default, case is folded and diacritics are removed.
+ * @return {String} - a normalized version of |str| with all consecutive
+ *     whitespace chars converted to a single ' ', invisible formatting chars
+ *     removed, typographic variants of quotes, dashes and ligatures folded
+ *     (e.g., '—' -> '-'), case folded and all diacriticals removed (e.g.,
+ *     'É' -> 'e'), unless |normalization| says otherwise.
+ */
+const normalizeString = (str, normalization) => {
+  return normalizeGraphemes(str, normalization, /* withOffsets= */ false).text;
+};
+
+/**
+ * Like normalizeString, but also maps the normalized string back to |str|, so
+ * that offsets can be converted between the two.
+ * @param {String} str - a string to be normalized
+ * @param {NormalizationOptions} [normalization] - how to normalize |str|.
+ * @return {NormalizedString}
+ */
+const normalizeStringWithOffsets = (str, normalization) => {
+  return normalizeGraphemes(str, normalization, /* withOffsets= */ true);
+};
+
+/**
+ * Normalizes text to be written in a generated fragment. Unlike
+ * normalizeString, typographic variants aren't folded, so that e.g. 'don’t' and
+ * '—' are written as they appear on the page, and the fragment still matches
+ * them exactly in implementations which don't fold them.
+ * @param {String} str - a string to be normalized
+ * @param {NormalizationOptions} [normalization] - how |str| is normalized.
+ * @return {String} - |str| with invisible formatting chars removed, all
+ *     consecutive whitespace chars converted to a single ' ', case folded and
+ *     all diacriticals removed, unless |normalization| says otherwise.
+ */
+const normalizeGeneratedText = (str, normalization) => {
+  const {caseSensitive, stripDiacritics, locale} =
+      resolveNormalization(normalization);
+  let normalized =
+      removeInvisibleChars(str || '').normalize('NFKD').replace(/\s+/g, ' ');
+  if (!caseSensitive) {
+    normalized = locale ? normalized.toLocaleLowerCase(locale) :
+                          normalized.toLowerCase();
+  }
+  if (stripDiacritics) {
+    normalized = normalized.replace(/[\u0300-\u036f]/g, '');
+  }
+  return normalized;
+};
+
+/**
+ * Normalizes a string one grapheme cluster at a time, which gives the same
+ * result as normalizing it at once, since normalization never merges or splits
+ * clusters, except that runs of whitespace or dashes across clusters collapse.
+ * @param {String} str - a string to be normalized
+ * @param {NormalizationOptions} [normalization] - how to normalize |str|.
+ * @param {boolean} withOffsets - whether to map the chars of the result to
+ *     |str|. If false, |starts| and |ends| are left empty.
+ * @return {NormalizedString}
+ */
+const normalizeGraphemes = (str, normalization, withOffsets) => {
+  const resolvedNormalization = resolveNormalization(normalization);
+  // The same clusters come up again and again in a string, e.g. letters.
+  const normalizedGraphemes = new Map();
+  let text = '';
+  const starts = [];
+  const ends = [];
+  for (const {segment, index} of segmentGraphemes(str || '')) {
+    let normalized = normalizedGraphemes.get(segment);
+    if (normalized === undefined) {
+      normalized = normalizeGrapheme(segment, resolvedNormalization);
+      normalizedGraphemes.set(segment, normalized);
+    }
+    const lastChar = text.slice(-1);
+    if ((lastChar === ' ' || lastChar === '-') && normalized[0] === lastChar) {
+      normalized = normalized.slice(1);
+    }
+    text += normalized;
+    if (withOffsets) {
+      for (let i = 0; i < normalized.length; i++) {
+        starts.push(index);
+        ends.push(index + segment.length);
+      }
+    }
+  }
+  return {text: text, starts: starts, ends: ends};
+};
+
+/**
+ * @param {String} grapheme - a single grapheme cluster.
+ * @param {{caseSensitive: boolean, stripDiacritics: boolean, locale: (string|
+ *     undefined)}} normalization - how to normalize |grapheme|, as returned by
+ *     resolveNormalization.
+ * @return {String} - the normalized cluster. See normalizeString.
+ */
+const normalizeGrapheme =
+    (grapheme, {caseSensitive, stripDiacritics, locale}) => {
+      // First, remove invisible characters and decompose any characters with
+      // diacriticals. Then fold typographic variants, and turn all consecutive
+      // whitespace characters into a standard " " and all consecutive dashes
+      // into a single "-".
+      let normalized = removeInvisibleChars(grapheme)
+                           .normalize('NFKD')
+                           .replace(
+                               TYPOGRAPHIC_EQUIVALENTS_REGEX,
+                               (char) => TYPOGRAPHIC_EQUIVALENTS[char])
+                           .replace(/\s+/g, ' ')
+                           .replace(/-+/g, '-');
+      // Fold case before stripping diacritics, since some locales lowercase a
+      // letter differently depending on the diacritics that follow it, e.g. 'I'
+      // and 'I\u0307' ('İ') respectively become 'ı' and 'i' in Turkish.
+      if (!caseSensitive) {
+        normalized = locale ? normalized.toLocaleLowerCase(locale) :
+                              normalized.toLowerCase();
+      }
+      // The final sigma is a lowercase letter, and it's folded to a regular one
+      // even when matching case-sensitively, so that words match regardless of
+      // where they end.
+      normalized = normalized.replace(/\u03c2/g, '\u03c3');
+      // Strip out anything in the Unicode U+0300..U+036F (Combining Diacritical
+      // Marks) range.
+      if (stripDiacritics) {
+        normalized = normalized.replace(/[\u0300-\u036f]/g, '');
+      }
+      return normalized;
+    };
+
+let graphemeSegmenter;
+
+/**
+ * Splits a string into grapheme clusters, with Intl.Segmenter if supported.
+ * Otherwise, each code point is a cluster along with the combining marks
+ * following it.
+ * @param {String} str
+ * @return {Iterable<{segment: String, index: Number}>} - the clusters, and
+ *     their offset in |str|.
+ */
+const segmentGraphemes = (str) => {
+  if (Intl.Segmenter) {
+    // Grapheme clusters don't depend on the language, so a single segmenter
+    // is enough.
+    if (graphemeSegmenter == null) {
+      graphemeSegmenter =
+          new Intl.Segmenter(undefined, {granularity: 'grapheme'});
+    }
+    return graphemeSegmenter.segment(str);
+  }
+  return Array.from(
+      str.matchAll(/\P{M}\p{M}*|\p{M}+/gu),
+      (match) => ({segment: match[0], index: match.index}));
+};
+
+/**
+ * @param {String} str - a string.
+ * @param {Number} offset - an offset in |str|.
+ * @param {NormalizationOptions} [normalization] - how |str| is normalized.
+ * @return {Number} - the offset in the normalized |str| corresponding to
+ *     |offset|, i.e. the number of normalized chars coming from before it.
+ */
+const getNormalizedOffset = (str, offset, normalization) => {
+  if (offset === 0) return 0;
+  const {starts} = normalizeStringWithOffsets(str, normalization);
+  let normalizedOffset = 0;
+  while (normalizedOffset < starts.length &&
+         starts[normalizedOffset] < offset) {
+    normalizedOffset++;
+  }
+  return normalizedOffset;
+};
+
+/**
+ * @param {Document} [documentToProcess] - the document whose language the
+ *     segmenter should use.
+ * @return {Intl.Segmenter|undefined} - a segmenter object suitable for finding
+ *     word boundaries. Returns undefined on browsers/platforms that do not yet
+ *     support the Intl.Segmenter API.
+ */
+const makeNewSegmenter = (documentToProcess = document) => {
+  if (Intl.Segmenter) {
+    let lang = documentToProcess.documentElement.lang;
+    if (!lang) {
+      lang = navigator.language;
+    }
+    return new Intl.Segmenter(lang, {granularity: 'word'});
+  }
+  return undefined;
+};
+
+/**
+ * Text in an open shadow root is rendered in place of the children of its
+ * host, and those children are rendered where the <slot> they're assigned to
+ * is. Finding, highlighting and generating fragments all work on the resulting
+ * flat tree (https://drafts.csswg.org/css-scoping/#flat-tree), so that the text
+ * of web components can be matched and used as context, and so that block
+ * boundaries are found across shadow boundaries. Closed shadow roots can't be
+ * accessed, so their hosts are treated as regular elements. Shadow roots
+ * themselves are kept in the flat tree, as the only child of their host, so
+ * that they can be used as boundary point containers like in a Range.
+ *
+ * A Range can't cross a shadow boundary, so searches use FlatTreeRange, whose
+ * boundary points are compared in flat tree order, and only turn their results
+ * into Ranges at the end.
+ */
+
+/**
+ * Whether the trees of the root nodes seen in the current task are free of
+ * shadow roots. The cache is dropped in a microtask, as the DOM can change.
+ * @type {WeakMap<Node, boolean>|null}
+ */
+let shadowFreeTrees = null;
+
+/**
+ * Most pages have no shadow roots, and their flat tree then is their node tree:
+ * the native Range and TreeWalker can be used instead of the slower flat tree
+ * traversals below.
+ * @param {Node} node
+ * @return {boolean} - true if |node| isn't in a shadow tree and its tree has no
+ *     open shadow roots.
+ */
+const isInShadowFreeTree = (node) => {
+  const root = node.getRootNode();
+  if (root.nodeType === Node.DOCUMENT_FRAGMENT_NODE && root.host != null) {
+    return false;
+  }
+  if (shadowFreeTrees == null) {
+    shadowFreeTrees = new WeakMap();
+    queueMicrotask(() => {
+      shadowFreeTrees = null;
+    });
+  }
+  if (!shadowFreeTrees.has(root)) {
+    const walker =
+        getOwnerDocument(root).createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+    let hasShadowRoot = false;
+    for (let element = walker.currentNode; element != null && !hasShadowRoot;
+         element = walker.nextNode()) {
+      hasShadowRoot = element.shadowRoot != null;
+    }
+    shadowFreeTrees.set(root, !hasShadowRoot);
+  }
+  return shadowFreeTrees.get(root);
+};
+
+/**
+ * @param {Node} node
+ * @return {Node[]|null} - the children of |node| in the flat tree if they
+ *     aren't its child nodes, i.e. its open shadow root, or the nodes assigned
+ *     to it if it's a slot; null otherwise.
+ */
+const getShadowOrAssignedChildren = (node) => {
+  if (node.nodeType !== Node.ELEMENT_NODE) {
+    return null;
+  }
+  if (node.shadowRoot != null) {
+    return [node.shadowRoot];
+  }
+  if (node.localName === 'slot' && typeof node.assignedNodes === 'function') {
+    const assignedNodes = node.assignedNodes();
+    if (assignedNodes.length) {
+      return assignedNodes;
+    }
+  }
+  return null;
+};
+
+/**
+ * @param {Node} node
+ * @return {Node|null} - the parent of |node| in the flat tree: the slot it's
+ *     assigned to, its host if it's a shadow root, or its parent node.
+ */
+const getFlatTreeParent = (node) => {
+  if (node.assignedSlot != null) {
+    return node.assignedSlot;
+  }
+  if (node.nodeType === Node.DOCUMENT_FRAGMENT_NODE && node.host != null) {
+    return node.host;
+  }
+  return node.parentNode;
+};
+
+/**
+ * @param {Node} node
+ * @return {Node|null} - the first child of |node| in the flat tree.
+ */
+const getFlatTreeFirstChild = (node) => {
+  const children = getShadowOrAssignedChildren(node);
+  return children != null ? children[0] || null : node.firstChild;
+};
+
+/**
+ * @param {Node} node
+ * @return {Node|null} - the last child of |node| in the flat tree.
+ */
+const getFlatTreeLastChild = (node) => {
+  const children = getShadowOrAssignedChildren(node);
+  return children != null ? children[children.length - 1] || null :
+                            node.lastChild;
+};
+
+/**
+ * @param {Node} node
+ * @param {boolean} isNext - true for the next sibling, false for the previous
+ *     one.
+ * @return {Node|null} - the next or previous sibling of |node| in the flat
+ *     tree.
+ */
+const getFlatTreeSibling = (node, isNext) => {
+  const slot = node.assignedSlot;
+  if (slot != null) {
+    const siblings = slot.assignedNodes();
+    return siblings[siblings.indexOf(node) + (isNext ? 1 : -1)] || null;
+  }
+  return isNext ? node.nextSibling : node.previousSibling;
+};
+
+/**
+ * @param {Node} container - a boundary point container.
+ * @param {Number} offset - a boundary point offset in |container|.
+ * @return {Node|null} - the flat tree child of |container| right after the
+ *     boundary point, or null if the boundary point is after all of them.
+ *     Offsets in hosts and slots count child nodes which aren't rendered, so
+ *     only 0 is taken to be before their flat tree children.
+ */
+const getFlatTreeChildAfterOffset = (container, offset) => {
+  const children = getShadowOrAssignedChildren(container);
+  if (children == null) {
+    return container.childNodes[offset] || null;
+  }
+  return offset === 0 ? children[0] || null : null;
+};
+
+/**
+ * @param {Node} container - a boundary point container.
+ * @param {Number} offset - a boundary point offset in |container|.
+ * @return {Node|null} - the flat tree child of |container| right before the
+ *     boundary point, or null if the boundary point is before all of them.
+ */
+const getFlatTreeChildBeforeOffset = (container, offset) => {
+  const children = getShadowOrAssignedChildren(container);
+  if (children == null) {
+    return offset > 0 ? container.childNodes[offset - 1] || null : null;
+  }
+  return offset > 0 ? children[children.length - 1] || null : null;
+};
+
+/**
+ * @param {Node} ancestor
+ * @param {Node} node
+ * @return {boolean} - true if |ancestor| is |node| or one of its ancestors in
+ *     the flat tree; the flat tree counterpart of Node.contains.
+ */
+const isFlatTreeInclusiveAncestor = (ancestor, node) => {
+  for (; node != null; node = getFlatTreeParent(node)) {
+    if (node === ancestor) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * @param {Node} node
+ * @return {Node[]} - |node| followed by its flat tree ancestors, from the
+ *     closest to the furthest.
+ */
+const getFlatTreeInclusiveAncestors = (node) => {
+  const ancestors = [];
+  for (; node != null; node = getFlatTreeParent(node)) {
+    ancestors.push(node);
+  }
+  return ancestors;
+};
+
+/**
+ * @param {Node} nodeA
+ * @param {Node} nodeB
+ * @return {Node|null} - the closest common inclusive ancestor of |nodeA| and
+ *     |nodeB| in the flat tree, or null if they are disconnected.
+ */
+const getFlatTreeCommonAncestor = (nodeA, nodeB) => {
+  const ancestorsA = getFlatTreeInclusiveAncestors(nodeA);
+  const ancestorsB = getFlatTreeInclusiveAncestors(nodeB);
+  let common = null;
+  for (let i = ancestorsA.length - 1, j = ancestorsB.length - 1;
+       i >= 0 && j >= 0 && ancestorsA[i] === ancestorsB[j]; i--, j--) {
+    common = ancestorsA[i];
+  }
+  return common;
+};
+
+/**
+ * @param {Node} nodeA
+ * @param {Node} nodeB - a flat tree sibling of |nodeA|.
+ * @return {Number} - -1 if |nodeA| comes first in the flat tree, 1 if |nodeB|
+ *     does, 0 if they're the same node.
+ */
+const compareFlatTreeSiblings = (nodeA, nodeB) => {
+  if (nodeA === nodeB) {
+    return 0;
+  }
+  // Nodes assigned to a slot are ordered as in the slot, which may differ from
+  // the order of the host's children.
+  if (nodeA.assignedSlot != null) {
+    const siblings = nodeA.assignedSlot.assignedNodes();
+    return siblings.indexOf(nodeA) < siblings.indexOf(nodeB) ? -1 : 1;
+  }
+  return nodeA.compareDocumentPosition(nodeB) &
+          Node.DOCUMENT_POSITION_FOLLOWING ?
+      -1 :
+      1;
+};
+
+/**
+ * @param {Node} container - a boundary point container.
+ * @param {Number} offset - a boundary point offset in |container|.
+ * @param {Node} child - a flat tree child of |container|.
+ * @return {boolean} - true if the boundary point is before |child|, false if
+ *     it's after it.
+ */
+const isOffsetBeforeFlatTreeChild = (container, offset, child) => {
+  const childAfterOffset = getFlatTreeChildAfterOffset(container, offset);
+  return childAfterOffset != null &&
+      compareFlatTreeSiblings(childAfterOffset, child) <= 0;
+};
+
+/**
+ * Compares two boundary points in flat tree order, like
+ * Range.compareBoundaryPoints does in tree order.
+ * @param {Node} nodeA - the container of the first boundary point.
+ * @param {Number} offsetA - the offset of the first boundary point.
+ * @param {Node} nodeB - the container of the second boundary point.
+ * @param {Number} offsetB - the offset of the second boundary point.
+ * @return {Number} - -1, 0 or 1 if the first boundary point is respectively
+ *     before, equal to or after the second one.
+ */
+const compareFlatTreePoints = (nodeA, offsetA, nodeB, offsetB) => {
+  if (nodeA === nodeB) {
+    return Math.sign(offsetA - offsetB);
+  }
+  if (nodeA.getRootNode() === nodeB.getRootNode() &&
+      isInShadowFreeTree(nodeA)) {
+    const range = getOwnerDocument(nodeB).createRange();
+    range.setStart(nodeB, offsetB);
+    return range.comparePoint(nodeA, offsetA);
+  }
+  const ancestorsA = getFlatTreeInclusiveAncestors(nodeA);
+  const ancestorsB = getFlatTreeInclusiveAncestors(nodeB);
+  let i = ancestorsA.length - 1;
+  let j = ancestorsB.length - 1;
+  if (ancestorsA[i] !== ancestorsB[j]) {
+    // Disconnected nodes have no order; pick an arbitrary but consistent one.
+    return compareFlatTreeSiblings(ancestorsA[i], ancestorsB[j]);
+  }
+  while (i > 0 && j > 0 && ancestorsA[i - 1] === ancestorsB[j - 1]) {
+    i--;
+    j--;
+  }
+  if (i === 0) {
+    return isOffsetBeforeFlatTreeChild(nodeA, offsetA, ancestorsB[j - 1]) ? -1 :
+                                                                            1;
+  }
+  if (j === 0) {
+    return isOffsetBeforeFlatTreeChild(nodeB, offsetB, ancestorsA[i - 1]) ? 1 :
+                                                                            -1;
+  }
+  return compareFlatTreeSiblings(ancestorsA[i - 1], ancestorsB[j - 1]);
+};
+
+/**
+ * @param {Node} container - a boundary point container.
+ * @param {Number} offset - a boundary point offset in |container|.
+ * @param {Node} node
+ * @return {Number} - -1 if the boundary point is before |node| in the flat
+ *     tree, 1 if it's after it, 0 if it's inside of it.
+ */
+const compareFlatTreePointToNode = (container, offset, node) => {
+  if (node.nodeType !== Node.DOCUMENT_TYPE_NODE &&
+      container.getRootNode() === node.getRootNode() &&
+      isInShadowFreeTree(node)) {
+    const range = getOwnerDocument(node).createRange();
+    range.selectNodeContents(node);
+    return range.comparePoint(container, offset);
+  }
+  const ancestorsA = getFlatTreeInclusiveAncestors(container);
+  const ancestorsB = getFlatTreeInclusiveAncestors(node);
+  let i = ancestorsA.length - 1;
+  let j = ancestorsB.length - 1;
+  if (ancestorsA[i] !== ancestorsB[j]) {
+    return compareFlatTreeSiblings(ancestorsA[i], ancestorsB[j]);
+  }
+  while (i > 0 && j > 0 && ancestorsA[i - 1] === ancestorsB[j - 1]) {
+    i--;
+    j--;
+  }
+  if (j === 0) {
+    // |node| is the container or one of its ancestors.
+    return 0;
+  }
+  if (i === 0) {
+    return isOffsetBeforeFlatTreeChild(container, offset, ancestorsB[j - 1]) ?
+        -1 :
+        1;
+  }
+  return compareFlatTreeSiblings(ancestorsA[i - 1], ancestorsB[j - 1]);
+};
+
+/**
+ * The flat tree counterpart of Range.intersectsNode, for Ranges, StaticRanges
+ * and FlatTreeRanges.
+ * @param {AbstractRange|FlatTreeRange} range
+ * @param {Node} node
+ * @return {boolean} - true if |node| is at least partly inside |range|.
+ */
+const rangeIntersectsNode = (range, node) => {
+  return compareFlatTreePointToNode(
+             range.startContainer, range.startOffset, node) <= 0 &&
+      compareFlatTreePointToNode(range.endContainer, range.endOffset, node) >=
+      0;
+};
+
+/**
+ * @param {Node} node
+ * @return {Number} - the length of |node|, as defined by the DOM standard.
+ */
+const getNodeLength = (node) => {
+  if (node.nodeType === Node.TEXT_NODE || node.nodeType === Node.COMMENT_NODE ||
+      node.nodeType === Node.CDATA_SECTION_NODE ||
+      node.nodeType === Node.PROCESSING_INSTRUCTION_NODE) {
+    return node.data.length;
+  }
+  return node.childNodes.length;
+};
 
-  return blocks;
+/**
+ * @param {Node} node
+ * @return {boolean} - true if the position of |node| in the flat tree can be
+ *     described by an offset in its parent node, i.e. it isn't assigned to a
+ *     slot, and its parent isn't a shadow host or a slot.
+ */
+const hasFlatTreeOffsetInParent = (node) => {
+  const parent = node.parentNode;
+  return parent != null && node.assignedSlot == null &&
+      getShadowOrAssignedChildren(parent) == null;
 };
 
 /**
- * Returns the textContent of all the textNodes and normalizes strings by
- * replacing duplicated spaces with single space.
- * @param {Node[]} nodes - TextNodes to get the textContent from.
- * @param {Number} startOffset - Where to start in the first TextNode.
- * @param {Number|undefined} endOffset Where to end in the last TextNode.
- * @return {string} Entire text content of all the nodes, with spaces
- *     normalized.
+ * @param {Node} node
+ * @return {BoundaryPoint} - a boundary point right before |node|, as used by
+ *     Range.setStartBefore, or at the start of |node| if the former can't be
+ *     expressed as an offset in its parent. No text lies between the two.
  */
-const getTextContent = (nodes, startOffset, endOffset) => {
-  let str = '';
-  if (nodes.length === 1) {
-    str = nodes[0].textContent.substring(startOffset, endOffset);
-  } else {
-    str = nodes[0].textContent.substring(startOffset) +
-        nodes.slice(1, -1).reduce((s, n) => s + n.textContent, '') +
-        nodes.slice(-1)[0].textContent.substring(0, endOffset);
+const getBoundaryPointBeforeNode = (node) => {
+  if (hasFlatTreeOffsetInParent(node)) {
+    const parent = node.parentNode;
+    return {
+      node: parent,
+      offset: Array.prototype.indexOf.call(parent.childNodes, node),
+    };
   }
-  return str.replace(/[\t\n\r ]+/g, ' ');
+  return {node: node, offset: 0};
 };
 
 /**
- * @callback ElementFilterFunction
- * @param {HTMLElement} element - Node to accept, reject or skip.
- * @return {number} Either NodeFilter.FILTER_ACCEPT, NodeFilter.FILTER_REJECT
- *     or NodeFilter.FILTER_SKIP.
+ * @param {Node} node
+ * @return {BoundaryPoint} - a boundary point right after |node|, as used by
+ *     Range.setStartAfter, or at the end of |node| if the former can't be
+ *     expressed as an offset in its parent.
  */
+const getBoundaryPointAfterNode = (node) => {
+  if (hasFlatTreeOffsetInParent(node)) {
+    const parent = node.parentNode;
+    return {
+      node: parent,
+      offset: Array.prototype.indexOf.call(parent.childNodes, node) + 1,
+    };
+  }
+  return getBoundaryPointAtEndOfNode(node);
+};
 
 /**
- * Returns all nodes inside root using the provided filter.
- * @generator
- * @param {Node} root - Node where to start the TreeWalker.
- * @param {ElementFilterFunction} filter - Filter provided to the TreeWalker's
- *     acceptNode filter.
- * @yield {HTMLElement} All elements that were accepted by filter.
+ * @param {Node} node
+ * @return {BoundaryPoint} - a boundary point after all the flat tree
+ *     descendants of |node|.
  */
-function* getElementsIn(root, filter) {
-  const treeWalker = document.createTreeWalker(
-      root,
-      NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT,
-      {acceptNode: filter},
-  );
-
-  const finishedSubtrees = new Set();
-  while (forwardTraverse(treeWalker, finishedSubtrees) !== null) {
-    yield treeWalker.currentNode;
+const getBoundaryPointAtEndOfNode = (node) => {
+  const children = getShadowOrAssignedChildren(node);
+  if (children == null) {
+    return {node: node, offset: getNodeLength(node)};
   }
-}
+  // Any offset but 0 in a host or slot is after its flat tree children, but
+  // it might have no child nodes, so use the end of its last child instead.
+  const lastChild = children[children.length - 1];
+  return lastChild != null ? getBoundaryPointAtEndOfNode(lastChild) :
+                             {node: node, offset: 0};
+};
 
 /**
- * Returns a range pointing to the first instance of |query| within |range|.
- * @param {String} query - the string to find
- * @param {Range} range - the range in which to search
- * @return {Range|undefined} - The first found instance of |query| within
- *     |range|.
+ * A range whose boundary points are compared in flat tree order, so that it
+ * can start and end in different shadow trees. It implements the parts of the
+ * Range interface used by the search and generation algorithms, which can
+ * therefore take either.
  */
-const findTextInRange = (query, range) => {
-  const textNodeLists = getAllTextNodes(range.commonAncestorContainer, range);
-  const segmenter = makeNewSegmenter();
+const FlatTreeRange = class {
+  /**
+   * @param {Document} [documentToProcess] - the document of the range.
+   */
+  constructor(documentToProcess = document) {
+    this.startContainer = documentToProcess;
+    this.startOffset = 0;
+    this.endContainer = documentToProcess;
+    this.endOffset = 0;
+  }
 
-  for (const list of textNodeLists) {
-    const found = findRangeFromNodeList(query, range, list, segmenter);
-    if (found !== undefined) return found;
+  /**
+   * @return {boolean}
+   */
+  get collapsed() {
+    return this.startContainer === this.endContainer &&
+        this.startOffset === this.endOffset;
   }
-  return undefined;
-};
 
-/**
- * Finds a range pointing to the first instance of |query| within |range|,
- * searching over the text contained in a list |nodeList| of relevant textNodes.
- * @param {String} query - the string to find
- * @param {Range} range - the range in which to search
- * @param {Node[]} textNodes - the visible text nodes within |range|
- * @param {Intl.Segmenter} [segmenter] - a segmenter to be used for finding word
- *     boundaries, if supported
- * @return {Range|undefined} - the found range, or undefined if no such range
- *     could be found
- */
-const findRangeFromNodeList = (query, range, textNodes, segmenter) => {
-  if (!query || !range || !(textNodes || []).length) return undefined;
-  const startOffset =
-      textNodes[0] === range.startContainer ? range.startOffset : 0;
-  const data =
-      normalizeString(getTextContent(textNodes, startOffset, undefined));
-  const normalizedQuery = normalizeString(query);
-  let searchStart = 0;
-  let start;
-  let end;
-  while (searchStart < data.length) {
-    const matchIndex = data.indexOf(normalizedQuery, searchStart);
-    if (matchIndex === -1) return undefined;
-    if (isWordBounded(data, matchIndex, normalizedQuery.length, segmenter)) {
-      const normalizedStartOffset =
-          normalizeString(textNodes[0].data.slice(0, startOffset)).length;
-      start = getBoundaryPointAtIndex(
-          normalizedStartOffset + matchIndex, textNodes, /* isEnd=*/ false);
-      end = getBoundaryPointAtIndex(
-          normalizedStartOffset + matchIndex + normalizedQuery.length,
-          textNodes,
-          /* isEnd=*/ true,
-      );
+  /**
+   * @return {Node} - the closest flat tree ancestor of both boundary points.
+   */
+  get commonAncestorContainer() {
+    return getFlatTreeCommonAncestor(this.startContainer, this.endContainer);
+  }
+
+  /**
+   * @param {Node} node
+   * @param {Number} offset
+   */
+  setStart(node, offset) {
+    checkBoundaryPointOffset(node, offset);
+    this.startContainer = node;
+    this.startOffset = offset;
+    if (compareFlatTreePoints(node, offset, this.endContainer, this.endOffset) >
+        0) {
+      this.collapse(/* toStart= */ true);
+    }
+  }
+
+  /**
+   * @param {Node} node
+   * @param {Number} offset
+   */
+  setEnd(node, offset) {
+    checkBoundaryPointOffset(node, offset);
+    this.endContainer = node;
+    this.endOffset = offset;
+    if (compareFlatTreePoints(
+            this.startContainer, this.startOffset, node, offset) > 0) {
+      this.collapse(/* toStart= */ false);
+    }
+  }
+
+  /**
+   * @param {Node} node
+   */
+  setStartBefore(node) {
+    const boundaryPoint = getBoundaryPointBeforeNode(node);
+    this.setStart(boundaryPoint.node, boundaryPoint.offset);
+  }
+
+  /**
+   * @param {Node} node
+   */
+  setStartAfter(node) {
+    const boundaryPoint = getBoundaryPointAfterNode(node);
+    this.setStart(boundaryPoint.node, boundaryPoint.offset);
+  }
+
+  /**
+   * @param {Node} node
+   */
+  setEndBefore(node) {
+    const boundaryPoint = getBoundaryPointBeforeNode(node);
+    this.setEnd(boundaryPoint.node, boundaryPoint.offset);
+  }
+
+  /**
+   * @param {Node} node
+   */
+  setEndAfter(node) {
+    const boundaryPoint = getBoundaryPointAfterNode(node);
+    this.setEnd(boundaryPoint.node, boundaryPoint.offset);
+  }
+
+  /**
+   * @param {Node} node
+   */
+  selectNodeContents(node) {
+    const end = getBoundaryPointAtEndOfNode(node);
+    this.startContainer = node;
+    this.startOffset = 0;
+    this.endContainer = end.node;
+    this.endOffset = end.offset;
+  }
+
+  /**
+   * @param {boolean} [toStart] - true to collapse to the start, false to
+   *     collapse to the end.
+   */
+  collapse(toStart = false) {
+    if (toStart) {
+      this.endContainer = this.startContainer;
+      this.endOffset = this.startOffset;
+    } else {
+      this.startContainer = this.endContainer;
+      this.startOffset = this.endOffset;
+    }
+  }
+
+  /**
+   * @return {FlatTreeRange}
+   */
+  cloneRange() {
+    return toFlatTreeRange(this);
+  }
+
+  /**
+   * @param {Number} how - one of Range.START_TO_START, Range.START_TO_END,
+   *     Range.END_TO_END and Range.END_TO_START.
+   * @param {AbstractRange|FlatTreeRange} sourceRange
+   * @return {Number} - -1, 0 or 1, as returned by
+   *     Range.compareBoundaryPoints.
+   */
+  compareBoundaryPoints(how, sourceRange) {
+    const useThisEnd = how === Range.START_TO_END || how === Range.END_TO_END;
+    const useSourceEnd = how === Range.END_TO_END || how === Range.END_TO_START;
+    return compareFlatTreePoints(
+        useThisEnd ? this.endContainer : this.startContainer,
+        useThisEnd ? this.endOffset : this.startOffset,
+        useSourceEnd ? sourceRange.endContainer : sourceRange.startContainer,
+        useSourceEnd ? sourceRange.endOffset : sourceRange.startOffset);
+  }
+
+  /**
+   * @param {Node} node
+   * @param {Number} offset
+   * @return {Number} - -1, 0 or 1 if the boundary point is respectively before,
+   *     inside or after the range.
+   */
+  comparePoint(node, offset) {
+    if (compareFlatTreePoints(
+            node, offset, this.startContainer, this.startOffset) < 0) {
+      return -1;
     }
+    if (compareFlatTreePoints(node, offset, this.endContainer, this.endOffset) >
+        0) {
+      return 1;
+    }
+    return 0;
+  }
 
-    if (start != null && end != null) {
-      const foundRange = new Range();
-      foundRange.setStart(start.node, start.offset);
-      foundRange.setEnd(end.node, end.offset);
+  /**
+   * @param {Node} node
+   * @return {boolean}
+   */
+  intersectsNode(node) {
+    return rangeIntersectsNode(this, node);
+  }
+
+  /**
+   * @return {String} - the text of the text nodes in the range, in flat tree
+   *     order.
+   */
+  toString() {
+    if (this.startContainer === this.endContainer &&
+        this.startContainer.nodeType === Node.TEXT_NODE) {
+      return this.startContainer.data.substring(
+          this.startOffset, this.endOffset);
+    }
+    const walker = createFlatTreeWalker(
+        this.commonAncestorContainer,
+        NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, (node) => {
+          if (!this.intersectsNode(node)) return NodeFilter.FILTER_REJECT;
+          return node.nodeType === Node.TEXT_NODE ? NodeFilter.FILTER_ACCEPT :
+                                                    NodeFilter.FILTER_SKIP;
+        });
+    let text = '';
+    for (let node = walker.nextNode(); node != null; node = walker.nextNode()) {
+      text += node.data.substring(
+          node === this.startContainer ? this.startOffset : 0,
+          node === this.endContainer ? this.endOffset : node.data.length);
+    }
+    return text;
+  }
 
-      // Verify that |foundRange| is a subrange of |range|
-      if (range.compareBoundaryPoints(Range.START_TO_START, foundRange) <= 0 &&
-          range.compareBoundaryPoints(Range.END_TO_END, foundRange) >= 0) {
-        return foundRange;
+  /**
+   * @return {Range|StaticRange} - a Range with the same boundary points, or a
+   *     StaticRange if they aren't in the same tree, or aren't in the same
+   *     order in the DOM as in the flat tree.
+   */
+  toRange() {
+    const startDocument = getOwnerDocument(this.startContainer);
+    if (this.startContainer.getRootNode() === this.endContainer.getRootNode()) {
+      const range = startDocument.createRange();
+      range.setStart(this.startContainer, this.startOffset);
+      range.setEnd(this.endContainer, this.endOffset);
+      if (range.collapsed === this.collapsed) {
+        return range;
       }
     }
-    searchStart = matchIndex + 1;
+    const StaticRangeOfDocument = getWindowOf(startDocument).StaticRange;
+    return new StaticRangeOfDocument({
+      startContainer: this.startContainer,
+      startOffset: this.startOffset,
+      endContainer: this.endContainer,
+      endOffset: this.endOffset,
+    });
   }
-  return undefined;
 };
 
 /**
- * Provides the data needed for calling setStart/setEnd on a Range.
- * @typedef {Object} BoundaryPoint
- * @property {Node} node
- * @property {Number} offset
+ * @param {AbstractRange|FlatTreeRange} range
+ * @return {FlatTreeRange} - a FlatTreeRange with the same boundary points.
  */
+const toFlatTreeRange = (range) => {
+  const flatTreeRange =
+      new FlatTreeRange(getOwnerDocument(range.startContainer));
+  flatTreeRange.startContainer = range.startContainer;
+  flatTreeRange.startOffset = range.startOffset;
+  flatTreeRange.endContainer = range.endContainer;
+  flatTreeRange.endOffset = range.endOffset;
+  return flatTreeRange;
+};
 
 /**
- * Generates a boundary point pointing to the given text position.
- * @param {Number} index - the text offset indicating the start/end of a
- *     substring of the concatenated, normalized text in |textNodes|
- * @param {Node[]} textNodes - the text Nodes whose contents make up the search
- *     space
- * @param {bool} isEnd - indicates whether the offset is the start or end of the
- *     substring
- * @return {BoundaryPoint|undefined} - a boundary point suitable for setting as
- *     the start or end of a Range, or undefined if it couldn't be computed.
+ * @param {AbstractRange|FlatTreeRange} range
+ * @return {boolean} - true if |range| is a Range in a tree without shadow
+ *     roots, which can then be used as is instead of a FlatTreeRange.
  */
-const getBoundaryPointAtIndex = (index, textNodes, isEnd) => {
-  let counted = 0;
-  let normalizedData;
-  for (let i = 0; i < textNodes.length; i++) {
-    const node = textNodes[i];
-    if (!normalizedData) normalizedData = normalizeString(node.data);
-    let nodeEnd = counted + normalizedData.length;
-    if (isEnd) nodeEnd += 1;
-    if (nodeEnd > index) {
-      // |index| falls within this node, but we need to turn the offset in the
-      // normalized data into an offset in the real node data.
-      const normalizedOffset = index - counted;
-      let denormalizedOffset = Math.min(index - counted, node.data.length);
-
-      // Walk through the string until denormalizedOffset produces a substring
-      // that corresponds to the target from the normalized data.
-      const targetSubstring = isEnd ?
-          normalizedData.substring(0, normalizedOffset) :
-          normalizedData.substring(normalizedOffset);
-
-      let candidateSubstring = isEnd ?
-          normalizeString(node.data.substring(0, denormalizedOffset)) :
-          normalizeString(node.data.substring(denormalizedOffset));
-
-      // We will either lengthen or shrink the candidate string to approach the
-      // length of the target string. If we're looking for the start, adding 1
-      // makes the candidate shorter; if we're looking for the end, it makes the
-      // candidate longer.
-      const direction = (isEnd ? -1 : 1) *
-          (targetSubstring.length > candidateSubstring.length ? -1 : 1);
-
-      while (denormalizedOffset >= 0 &&
-             denormalizedOffset <= node.data.length) {
-        if (candidateSubstring.length === targetSubstring.length) {
-          return {node: node, offset: denormalizedOffset};
-        }
+const isNativeRangeInShadowFreeTree = (range) => {
+  return range instanceof getWindowOf(range.startContainer).Range &&
+      isInShadowFreeTree(range.startContainer);
+};
 
-        denormalizedOffset += direction;
+/**
+ * Throws like Range.setStart and Range.setEnd do for invalid offsets.
+ * @param {Node} node
+ * @param {Number} offset
+ * @throws {DOMException} - if |offset| is greater than the length of |node|.
+ */
+const checkBoundaryPointOffset = (node, offset) => {
+  if (offset > getNodeLength(node)) {
+    throw new DOMException(
+        `There is no child at offset ${offset}.`, 'IndexSizeError');
+  }
+};
 
-        candidateSubstring = isEnd ?
-            normalizeString(node.data.substring(0, denormalizedOffset)) :
-            normalizeString(node.data.substring(denormalizedOffset));
-      }
+/**
+ * The flat tree counterpart of TreeWalker, with the same interface and
+ * filtering semantics.
+ */
+const FlatTreeWalker = class {
+  /**
+   * @param {Node} root - the root of the traversal.
+   * @param {Number} [whatToShow] - a bitmask of NodeFilter.SHOW_* values.
+   * @param {ElementFilterFunction|{acceptNode: ElementFilterFunction}} [filter]
+   */
+  constructor(root, whatToShow = NodeFilter.SHOW_ALL, filter = null) {
+    this.root = root;
+    this.whatToShow = whatToShow;
+    this.filter = filter;
+    this.currentNode = root;
+  }
+
+  /**
+   * @param {Node} node
+   * @return {Number} - NodeFilter.FILTER_ACCEPT, FILTER_REJECT or FILTER_SKIP.
+   */
+  filterNode(node) {
+    if (!((1 << (node.nodeType - 1)) & this.whatToShow)) {
+      return NodeFilter.FILTER_SKIP;
     }
-    counted += normalizedData.length;
+    if (this.filter == null) {
+      return NodeFilter.FILTER_ACCEPT;
+    }
+    return typeof this.filter === 'function' ? this.filter(node) :
+                                               this.filter.acceptNode(node);
+  }
 
-    if (i + 1 < textNodes.length) {
-      // Edge case: if this node ends with a whitespace character and the next
-      // node starts with one, they'll be double-counted relative to the
-      // normalized version. Subtract 1 from |counted| to compensate.
-      const nextNormalizedData = normalizeString(textNodes[i + 1].data);
-      if (normalizedData.slice(-1) === ' ' &&
-          nextNormalizedData.slice(0, 1) === ' ') {
-        counted -= 1;
+  /**
+   * @return {Node|null}
+   */
+  parentNode() {
+    let node = this.currentNode;
+    while (node != null && node !== this.root) {
+      node = getFlatTreeParent(node);
+      if (node != null && this.filterNode(node) === NodeFilter.FILTER_ACCEPT) {
+        this.currentNode = node;
+        return node;
       }
-      // Since we already normalized the next node's data, hold on to it for the
-      // next iteration.
-      normalizedData = nextNormalizedData;
     }
+    return null;
   }
-  return undefined;
-};
 
-/**
- * Checks if a substring is word-bounded in the context of a longer string.
- *
- * If an Intl.Segmenter is provided for locale-specific segmenting, it will be
- * used for this check. This is the most desirable option, but not supported in
- * all browsers.
- *
- * If one is not provided, a heuristic will be applied,
- * returning true iff:
- *  - startPos == 0 OR char before start is a boundary char, AND
- *  - length indicates end of string OR char after end is a boundary char
- * Where boundary chars are whitespace/punctuation defined in the const above.
- * This causes the known issue that some languages, notably Japanese, only match
- * at the level of roughly a full clause or sentence, rather than a word.
- *
- * @param {String} text - the text to search
- * @param {Number} startPos - the index of the start of the substring
- * @param {Number} length - the length of the substring
- * @param {Intl.Segmenter} [segmenter] - a segmenter to be used for finding word
- *     boundaries, if supported
- * @return {boolean} - true iff startPos and length point to a word-bounded
- *     substring of |text|.
- */
-const isWordBounded = (text, startPos, length, segmenter) => {
-  if (startPos < 0 || startPos >= text.length || length <= 0 ||
-      startPos + length > text.length) {
-    return false;
+  /**
+   * @return {Node|null}
+   */
+  firstChild() {
+    return this.traverseChildren(/* isFirst= */ true);
   }
 
-  if (segmenter) {
-    // If the Intl.Segmenter API is available on this client, use it for more
-    // reliable word boundary checking.
-
-    const segments = segmenter.segment(text);
-    const startSegment = segments.containing(startPos);
-    if (!startSegment) return false;
-    // If the start index is inside a word segment but not the first character
-    // in that segment, it's not word-bounded. If it's not a word segment, then
-    // it's punctuation, etc., so that counts for word bounding.
-    if (startSegment.isWordLike && startSegment.index != startPos) return false;
+  /**
+   * @return {Node|null}
+   */
+  lastChild() {
+    return this.traverseChildren(/* isFirst= */ false);
+  }
 
-    // |endPos| points to the first character outside the target substring.
-    const endPos = startPos + length;
-    const endSegment = segments.containing(endPos);
+  /**
+   * @return {Node|null}
+   */
+  nextSibling() {
+    return this.traverseSiblings(/* isNext= */ true);
+  }
 
-    // If there's no end segment found, it's because we're at the end of the
-    // text, which is a valid boundary. (Because of the preconditions we
-    // checked above, we know we aren't out of range.)
-    // If there's an end segment found but it's non-word-like, that's also OK,
-    // since punctuation and whitespace are acceptable boundaries.
-    // Lastly, if there's an end segment and it is word-like, then |endPos|
-    // needs to point to the start of that new word, or |endSegment.index|.
-    if (endSegment && endSegment.isWordLike && endSegment.index != endPos)
-      return false;
-  } else {
-    // We don't have Intl.Segmenter support, so fall back to checking whether or
-    // not the substring is flanked by boundary characters.
+  /**
+   * @return {Node|null}
+   */
+  previousSibling() {
+    return this.traverseSiblings(/* isNext= */ false);
+  }
 
-    // If the first character is already a boundary, move it once.
-    if (text[startPos].match(BOUNDARY_CHARS)) {
-      ++startPos;
-      --length;
-      if (!length) {
-        return false;
+  /**
+   * @return {Node|null}
+   */
+  nextNode() {
+    let node = this.currentNode;
+    let result = NodeFilter.FILTER_ACCEPT;
+    while (true) {
+      let child;
+      while (result !== NodeFilter.FILTER_REJECT &&
+             (child = getFlatTreeFirstChild(node)) != null) {
+        node = child;
+        result = this.filterNode(node);
+        if (result === NodeFilter.FILTER_ACCEPT) {
+          this.currentNode = node;
+          return node;
+        }
+      }
+      let sibling = null;
+      for (let temporary = node; sibling == null;
+           temporary = getFlatTreeParent(temporary)) {
+        if (temporary == null || temporary === this.root) {
+          return null;
+        }
+        sibling = getFlatTreeSibling(temporary, /* isNext= */ true);
+      }
+      node = sibling;
+      result = this.filterNode(node);
+      if (result === NodeFilter.FILTER_ACCEPT) {
+        this.currentNode = node;
+        return node;
       }
     }
+  }
 
-    // If the last character is already a boundary, move it once.
-    if (text[startPos + length - 1].match(BOUNDARY_CHARS)) {
-      --length;
-      if (!length) {
-        return false;
+  /**
+   * @return {Node|null}
+   */
+  previousNode() {
+    let node = this.currentNode;
+    while (node !== this.root) {
+      let sibling = getFlatTreeSibling(node, /* isNext= */ false);
+      while (sibling != null) {
+        node = sibling;
+        let result = this.filterNode(node);
+        let child;
+        while (result !== NodeFilter.FILTER_REJECT &&
+               (child = getFlatTreeLastChild(node)) != null) {
+          node = child;
+          result = this.filterNode(node);
+        }
+        if (result === NodeFilter.FILTER_ACCEPT) {
+          this.currentNode = node;
+          return node;
+        }
+        sibling = getFlatTreeSibling(node, /* isNext= */ false);
+      }
+      const parent = getFlatTreeParent(node);
+      if (node === this.root || parent == null) {
+        return null;
+      }
+      node = parent;
+      if (this.filterNode(node) === NodeFilter.FILTER_ACCEPT) {
+        this.currentNode = node;
+        return node;
       }
     }
-
-    if (startPos !== 0 && (!text[startPos - 1].match(BOUNDARY_CHARS)))
-      return false;
-
-    if (startPos + length !== text.length &&
-        !text[startPos + length].match(BOUNDARY_CHARS))
-      return false;
+    return null;
   }
 
-  return true;
-};
+  /**
+   * Implements firstChild and lastChild, following
+   * https://dom.spec.whatwg.org/#concept-traverse-children.
+   * @param {boolean} isFirst - true to find the first child, false to find the
+   *     last one.
+   * @return {Node|null}
+   */
+  traverseChildren(isFirst) {
+    const getChild = isFirst ? getFlatTreeFirstChild : getFlatTreeLastChild;
+    let node = getChild(this.currentNode);
+    while (node != null) {
+      const result = this.filterNode(node);
+      if (result === NodeFilter.FILTER_ACCEPT) {
+        this.currentNode = node;
+        return node;
+      }
+      if (result === NodeFilter.FILTER_SKIP) {
+        const child = getChild(node);
+        if (child != null) {
+          node = child;
+          continue;
+        }
+      }
+      while (node != null) {
+        const sibling = getFlatTreeSibling(node, isFirst);
+        if (sibling != null) {
+          node = sibling;
+          break;
+        }
+        const parent = getFlatTreeParent(node);
+        if (parent == null || parent === this.root ||
+            parent === this.currentNode) {
+          return null;
+        }
+        node = parent;
+      }
+    }
+    return null;
+  }
 
-/**
- * @param {String} str - a string to be normalized
- * @return {String} - a normalized version of |str| with all consecutive
- *     whitespace chars converted to a single ' ' and all diacriticals removed
- *     (e.g., 'é' -> 'e').
- */
-const normalizeString = (str) => {
-  // First, decompose any characters with diacriticals. Then, turn all
-  // consecutive whitespace characters into a standard " ", and strip out
-  // anything in the Unicode U+0300..U+036F (Combining Diacritical Marks) range.
-  // This may change the length of the string.
-  return (str || '')
-      .normalize('NFKD')
-      .replace(/\s+/g, ' ')
-      .replace(/[\u0300-\u036f]/g, '')
-      .toLowerCase();
+  /**
+   * Implements nextSibling and previousSibling, following
+   * https://dom.spec.whatwg.org/#concept-traverse-siblings.
+   * @param {boolean} isNext - true to find the next sibling, false to find the
+   *     previous one.
+   * @return {Node|null}
+   */
+  traverseSiblings(isNext) {
+    let node = this.currentNode;
+    if (node === this.root) {
+      return null;
+    }
+    while (true) {
+      let sibling = getFlatTreeSibling(node, isNext);
+      while (sibling != null) {
+        node = sibling;
+        const result = this.filterNode(node);
+        if (result === NodeFilter.FILTER_ACCEPT) {
+          this.currentNode = node;
+          return node;
+        }
+        sibling =
+            isNext ? getFlatTreeFirstChild(node) : getFlatTreeLastChild(node);
+        if (result === NodeFilter.FILTER_REJECT || sibling == null) {
+          sibling = getFlatTreeSibling(node, isNext);
+        }
+      }
+      node = getFlatTreeParent(node);
+      if (node == null || node === this.root ||
+          this.filterNode(node) === NodeFilter.FILTER_ACCEPT) {
+        return null;
+      }
+    }
+  }
 };
 
 /**
- * @return {Intl.Segmenter|undefined} - a segmenter object suitable for finding
- *     word boundaries. Returns undefined on browsers/platforms that do not yet
- *     support the Intl.Segmenter API.
+ * @param {Node} root - the root of the traversal.
+ * @param {Number} [whatToShow] - a bitmask of NodeFilter.SHOW_* values.
+ * @param {ElementFilterFunction|{acceptNode: ElementFilterFunction}} [filter]
+ * @return {TreeWalker|FlatTreeWalker} - a native TreeWalker if |root| is in a
+ *     tree without shadow roots, a FlatTreeWalker otherwise.
  */
-const makeNewSegmenter = () => {
-  if (Intl.Segmenter) {
-    let lang = document.documentElement.lang;
-    if (!lang) {
-      lang = navigator.language;
-    }
-    return new Intl.Segmenter(lang, {granularity: 'word'});
-  }
-  return undefined;
-};
+const createFlatTreeWalker =
+    (root, whatToShow = NodeFilter.SHOW_ALL, filter = null) => {
+      if (isInShadowFreeTree(root)) {
+        return getOwnerDocument(root).createTreeWalker(
+            root, whatToShow, filter);
+      }
+      return new FlatTreeWalker(root, whatToShow, filter);
+    };
 
 /**
  * Performs traversal on a TreeWalker, visiting each subtree in document order.
@@ -1095,7 +5085,9 @@ export const forTesting = {
   makeNewSegmenter: makeNewSegmenter,
   markRange: markRange,
   normalizeString: normalizeString,
+  normalizeStringWithOffsets: normalizeStringWithOffsets,
   parseTextFragmentDirective: parseTextFragmentDirective,
+  parseTextDirectiveValue: parseTextDirectiveValue,
   forwardTraverse: forwardTraverse,
   backwardTraverse: backwardTraverse,
   getAllTextNodes: getAllTextNodes,
@@ -1111,11 +5103,29 @@ export const internal = {
   NON_BOUNDARY_CHARS: NON_BOUNDARY_CHARS,
   acceptNodeIfVisibleInRange: acceptNodeIfVisibleInRange,
   normalizeString: normalizeString,
+  normalizeGeneratedText: normalizeGeneratedText,
   makeNewSegmenter: makeNewSegmenter,
   forwardTraverse: forwardTraverse,
   backwardTraverse: backwardTraverse,
   makeTextNodeWalker: makeTextNodeWalker,
-  isNodeVisible: isNodeVisible
+  isNodeVisible: isNodeVisible,
+  FlatTreeRange: FlatTreeRange,
+  createFlatTreeWalker: createFlatTreeWalker,
+  getFlatTreeParent: getFlatTreeParent,
+  getFlatTreeChildAfterOffset: getFlatTreeChildAfterOffset,
+  getFlatTreeChildBeforeOffset: getFlatTreeChildBeforeOffset,
+  isFlatTreeInclusiveAncestor: isFlatTreeInclusiveAncestor,
+  compareFlatTreePoints: compareFlatTreePoints,
+  toFlatTreeRange: toFlatTreeRange,
+  isNativeRangeInShadowFreeTree: isNativeRangeInShadowFreeTree,
+  isSameNormalization: isSameNormalization,
+  removeInvisibleChars: removeInvisibleChars,
+  normalizeBlockText: normalizeBlockText,
+  getBoundaryPointInBlock: getBoundaryPointInBlock,
+  isWordBounded: isWordBounded,
+  CheckSuffixResult: CheckSuffixResult,
+  throwIfAborted: throwIfAborted,
+  isAbstractRange: isAbstractRange,
 }
 
 // Allow importing module from closure-compiler projects that haven't migrated
@@ -1128,11 +5138,13 @@ if (typeof goog !== 'undefined') {
 
 /**
  * Replaces all occurence of the pseudo element ::target-text to a css class
- * text-fragments-polyfill-target-text
+ * text-fragments-polyfill-target-text, and to the ::highlight(text-fragment)
+ * pseudo element where the CSS Custom Highlight API is supported.
  *
+ * @param {Document} [documentToProcess] - the document whose styles to update.
  */
-export const applyTargetTextStyle = () => {
-  const styles = document.getElementsByTagName('style');
+export const applyTargetTextStyle = (documentToProcess = document) => {
+  const styles = documentToProcess.getElementsByTagName('style');
   if (!styles) return;
 
   for (const style of styles) {
@@ -1142,8 +5154,14 @@ export const applyTargetTextStyle = () => {
     if (!targetTextRules) continue;
 
     const markCss = targetTextRules.join('\n');
-    const newNode = document.createTextNode(markCss.replaceAll(
-        '::target-text', ` .${TEXT_FRAGMENT_CSS_CLASS_NAME}`));
+    let newCss = markCss.replaceAll(
+        '::target-text', ` .${TEXT_FRAGMENT_CSS_CLASS_NAME}`);
+    if (supportsCustomHighlights(documentToProcess)) {
+      newCss += '\n' +
+          markCss.replaceAll(
+              '::target-text', `::highlight(${TEXT_FRAGMENT_HIGHLIGHT_NAME})`);
+    }
+    const newNode = documentToProcess.createTextNode(newCss);
     style.appendChild(newNode);
   }
 };
@@ -1155,7 +5173,7 @@ export const applyTargetTextStyle = () => {
  *     to the CSS class.
  */
 export const setDefaultTextFragmentsStyle = ({backgroundColor, color}) => {
-  const defaultStyle = `.${TEXT_FRAGMENT_CSS_CLASS_NAME} {
+  let defaultStyle = `.${TEXT_FRAGMENT_CSS_CLASS_NAME} {
     background-color: ${backgroundColor};
     color: ${color};
   }
@@ -1163,7 +5181,19 @@ export const setDefaultTextFragmentsStyle = ({backgroundColor, color}) => {
   .${TEXT_FRAGMENT_CSS_CLASS_NAME} a, a .${TEXT_FRAGMENT_CSS_CLASS_NAME} {
     text-decoration: underline;
   }
+
+  .${TARGET_ELEMENT_CSS_CLASS_NAME} {
+    outline: 3px solid ${backgroundColor};
+  }
   `
+  if (supportsCustomHighlights()) {
+    defaultStyle += `
+  ::highlight(${TEXT_FRAGMENT_HIGHLIGHT_NAME}) {
+    background-color: ${backgroundColor};
+    color: ${color};
+  }
+  `;
+  }
   document.head.insertAdjacentHTML(
       'beforeend', `<style type="text/css">${defaultStyle}</style>`);
 };
\ No newline at end of file
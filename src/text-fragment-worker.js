@@ -0,0 +1,345 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * The worker used by WorkerTextMatcher: it keeps a snapshot of the text of a
+ * subtree, normalizes it, and finds text fragments in it the same way
+ * findTextFragmentMatches finds them in the DOM. It doesn't use the DOM, so it
+ * must be started as a module worker, e.g.
+ * new Worker(new URL('./text-fragment-worker.js', import.meta.url),
+ *     {type: 'module'}).
+ *
+ * It handles two kinds of messages:
+ * - {type: 'snapshot', blocks, locale, normalization}, with the data of the
+ *   text nodes of each block of the subtree, replaces the snapshot.
+ * - {type: 'match', id, textFragment, limit, distinctMatches} searches the
+ *   snapshot, and is answered with {id, matches}, where each match has the
+ *   NodeOffset of its start and end, or with {id, error}.
+ */
+
+import * as utils from './text-fragment-utils.js';
+
+const {
+  CheckSuffixResult,
+  getBoundaryPointInBlock,
+  isWordBounded,
+  normalizeBlockText,
+  normalizeString,
+} = utils.internal;
+
+/**
+ * A position in the normalized text of a snapshot.
+ * @typedef {Object} TextPosition
+ * @property {Number} block - the index of the block.
+ * @property {Number} offset - the offset in the normalized text of the block.
+ */
+
+/**
+ * @param {TextPosition} a
+ * @param {TextPosition} b
+ * @return {Number} - negative if |a| is before |b|, positive if it's after it,
+ *     and 0 if they're the same.
+ */
+const comparePositions = (a, b) => {
+  return a.block !== b.block ? a.block - b.block : a.offset - b.offset;
+};
+
+/**
+ * The normalized text of a subtree, split in blocks like getAllTextNodes does.
+ */
+export const TextSnapshot = class {
+  /**
+   * @param {Array<String[]>} blocks - the data of the text nodes of each block.
+   * @param {Object} [options]
+   * @param {String} [options.locale] - the language of the text, used to find
+   *     word boundaries.
+   * @param {NormalizationOptions} [options.normalization] - how the text is
+   *     normalized before being compared.
+   */
+  constructor(blocks, {locale, normalization} = {}) {
+    this.normalization = normalization;
+    this.segmenter = Intl.Segmenter ?
+        new Intl.Segmenter(locale, {granularity: 'word'}) :
+        undefined;
+    this.blocks = blocks.map(
+        (nodeData) => ({
+          // Stand-ins for the text nodes, of which
+          // getBoundaryPointInBlock only reads the data.
+          nodes: nodeData.map((data, index) => ({data: data, index: index})),
+          ...normalizeBlockText(nodeData, normalization),
+        }));
+    this.end = {block: this.blocks.length, offset: 0};
+  }
+
+  /**
+   * Finds the matches of a text fragment, like findTextFragmentMatches.
+   * @param {TextFragment} textFragment - Text Fragment to find.
+   * @param {number} limit - stop after finding this many matches.
+   * @param {boolean} distinctMatches - see findTextFragmentMatches.
+   * @return {Array<{start: TextPosition, end: TextPosition}>} - the matches,
+   *     in order.
+   */
+  findMatches(textFragment, limit, distinctMatches) {
+    const results = [];
+    // Adds a match to |results|, unless distinctMatches is set and it overlaps
+    // the previous one.
+    const addResult = (match) => {
+      if (distinctMatches && results.length &&
+          comparePositions(results[results.length - 1].end, match.start) > 0) {
+        return;
+      }
+      results.push(match);
+    };
+
+    let searchStart = {block: 0, offset: 0};
+    while (comparePositions(searchStart, this.end) < 0 &&
+           results.length < limit) {
+      let potentialMatch;
+      if (textFragment.prefix) {
+        const prefixMatch = this.findText(textFragment.prefix, searchStart);
+        if (prefixMatch == null) {
+          break;
+        }
+        searchStart = this.advancePast(prefixMatch.start);
+
+        // textStart must follow the prefix, with only whitespace in between.
+        const matchStart = this.skipWhitespace(prefixMatch.end);
+        if (comparePositions(matchStart, this.end) >= 0) {
+          break;
+        }
+        potentialMatch = this.findText(textFragment.textStart, matchStart);
+        if (potentialMatch == null) {
+          break;
+        }
+        if (comparePositions(potentialMatch.start, matchStart) !== 0) {
+          continue;
+        }
+      } else {
+        potentialMatch = this.findText(textFragment.textStart, searchStart);
+        if (potentialMatch == null) {
+          break;
+        }
+        searchStart = this.advancePast(potentialMatch.start);
+      }
+
+      if (textFragment.textEnd) {
+        let textEndStart = potentialMatch.end;
+        let matchFound = false;
+        while (comparePositions(textEndStart, this.end) < 0 &&
+               results.length < limit) {
+          const textEndMatch =
+              this.findText(textFragment.textEnd, textEndStart);
+          if (textEndMatch == null) {
+            break;
+          }
+          textEndStart = this.advancePast(textEndMatch.start);
+          const match = {start: potentialMatch.start, end: textEndMatch.end};
+
+          if (textFragment.suffix) {
+            const suffixResult =
+                this.checkSuffix(textFragment.suffix, match.end);
+            if (suffixResult === CheckSuffixResult.NO_SUFFIX_MATCH) {
+              break;
+            } else if (suffixResult === CheckSuffixResult.MISPLACED_SUFFIX) {
+              continue;
+            }
+          }
+          matchFound = true;
+          addResult(match);
+          if (distinctMatches) {
+            break;
+          }
+        }
+        if (!matchFound) {
+          break;
+        }
+      } else if (textFragment.suffix) {
+        const suffixResult =
+            this.checkSuffix(textFragment.suffix, potentialMatch.end);
+        if (suffixResult === CheckSuffixResult.NO_SUFFIX_MATCH) {
+          break;
+        } else if (suffixResult === CheckSuffixResult.SUFFIX_MATCH) {
+          addResult(potentialMatch);
+          searchStart = this.advancePast(searchStart);
+        }
+      } else {
+        addResult(potentialMatch);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Finds the first word-bounded occurrence of |query| after |from|, within a
+   * block. Like in findTextInRange, |from| counts as a word boundary.
+   * @param {String} query - the text to find.
+   * @param {TextPosition} from - where to start searching.
+   * @return {{start: TextPosition, end: TextPosition}|null}
+   */
+  findText(query, from) {
+    const normalizedQuery = normalizeString(query, this.normalization);
+    if (!normalizedQuery) {
+      return null;
+    }
+    for (let block = from.block; block < this.blocks.length; block++) {
+      const offset = block === from.block ? from.offset : 0;
+      const data = this.blocks[block].text.substring(offset);
+      let searchStart = 0;
+      while (searchStart < data.length) {
+        const matchIndex = data.indexOf(normalizedQuery, searchStart);
+        if (matchIndex === -1) {
+          break;
+        }
+        if (isWordBounded(
+                data, matchIndex, normalizedQuery.length, this.segmenter)) {
+          return {
+            start: {block: block, offset: offset + matchIndex},
+            end: {
+              block: block,
+              offset: offset + matchIndex + normalizedQuery.length,
+            },
+          };
+        }
+        searchStart = matchIndex + 1;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Checks whether |suffix| follows a match ending at |from|, like
+   * checkSuffix.
+   * @param {String} suffix - the suffix to find.
+   * @param {TextPosition} from - the end of the match.
+   * @return {(typeof CheckSuffixResult)[keyof typeof CheckSuffixResult]}
+   */
+  checkSuffix(suffix, from) {
+    const suffixStart = this.skipWhitespace(from);
+    const suffixMatch = this.findText(suffix, suffixStart);
+    if (suffixMatch == null) {
+      return CheckSuffixResult.NO_SUFFIX_MATCH;
+    }
+    if (comparePositions(suffixMatch.start, suffixStart) !== 0) {
+      return CheckSuffixResult.MISPLACED_SUFFIX;
+    }
+    return CheckSuffixResult.SUFFIX_MATCH;
+  }
+
+  /**
+   * @param {TextPosition} position
+   * @return {TextPosition} - the position after the char at |position|, like
+   *     advanceRangeStartPastOffset.
+   */
+  advancePast(position) {
+    if (position.block < this.blocks.length &&
+        position.offset < this.blocks[position.block].text.length) {
+      return {block: position.block, offset: position.offset + 1};
+    }
+    return {block: position.block + 1, offset: 0};
+  }
+
+  /**
+   * @param {TextPosition} position
+   * @return {TextPosition} - the first position from |position| on which isn't
+   *     whitespace, in any block, like advanceRangeStartToNonWhitespace.
+   */
+  skipWhitespace(position) {
+    let {block, offset} = position;
+    while (block < this.blocks.length) {
+      const text = this.blocks[block].text;
+      if (offset >= text.length) {
+        block++;
+        offset = 0;
+      } else if (text[offset] === ' ') {
+        offset++;
+      } else {
+        break;
+      }
+    }
+    return {block: block, offset: offset};
+  }
+
+  /**
+   * @param {{start: TextPosition, end: TextPosition}} match - a match in the
+   *     normalized text.
+   * @return {{start: NodeOffset, end: NodeOffset}} - the match in the data of
+   *     the text nodes.
+   */
+  toNodeOffsets(match) {
+    const toNodeOffset = (position, isEnd) => {
+      const boundaryPoint = getBoundaryPointInBlock(
+          position.offset, this.blocks[position.block], isEnd,
+          this.normalization);
+      return {
+        block: position.block,
+        node: boundaryPoint.node.index,
+        offset: boundaryPoint.offset,
+      };
+    };
+    return {
+      start: toNodeOffset(match.start, /* isEnd=*/ false),
+      end: toNodeOffset(match.end, /* isEnd=*/ true),
+    };
+  }
+};
+
+// The snapshot sent by the main thread.
+let snapshot = null;
+
+/**
+ * Handles a message from the main thread.
+ * @param {Object} message - a 'snapshot' or 'match' message.
+ * @return {Object|undefined} - the response to send back, if any.
+ */
+const handleMessage = (message) => {
+  if (message.type === 'snapshot') {
+    snapshot = new TextSnapshot(message.blocks, message);
+    return undefined;
+  }
+  if (message.type === 'match') {
+    try {
+      if (snapshot == null) {
+        throw new Error('No snapshot was sent before searching.');
+      }
+      const matches = snapshot.findMatches(
+          message.textFragment, message.limit, message.distinctMatches);
+      return {
+        id: message.id,
+        matches: matches.map((match) => snapshot.toNodeOffsets(match)),
+      };
+    } catch (err) {
+      return {id: message.id, error: String(err)};
+    }
+  }
+  return undefined;
+};
+
+if (typeof WorkerGlobalScope !== 'undefined' &&
+    self instanceof WorkerGlobalScope) {
+  self.addEventListener('message', (event) => {
+    const response = handleMessage(event.data);
+    if (response != null) {
+      self.postMessage(response);
+    }
+  });
+}
+
+/**
+ * Should not be referenced except in the /test directory.
+ */
+export const forTesting = {
+  handleMessage: handleMessage,
+};
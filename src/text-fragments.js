@@ -14,6 +14,7 @@
  * limitations under the License.
  */
 
+import {FragmentDirective} from './fragment-directive.js';
 import * as utils from './text-fragment-utils.js';
 
 (async () => {
@@ -22,32 +23,317 @@ import * as utils from './text-fragment-utils.js';
     return;
   }
 
-  // Pass feature detection (https://web.dev/text-fragments/#feature-detection)
-  document.fragmentDirective = {};
+  // Options can be set on window.textFragmentsPolyfillOptions before the
+  // polyfill is loaded. See the README for the supported options.
+  const options = window.textFragmentsPolyfillOptions || {};
 
-  const init = () => {
+  // Also passes feature detection
+  // (https://web.dev/text-fragments/#feature-detection).
+  document.fragmentDirective =
+      new FragmentDirective({normalization: options.normalization});
+
+  // Searches the page in a worker, if one is configured. It's created once the
+  // body exists, and shared with document.fragmentDirective. If the worker
+  // can't be created or fails, the page is searched on the main thread.
+  let matcher;
+  let workerFailed = false;
+  const getMatcher = () => {
+    if (matcher == null && !workerFailed && options.workerUrl &&
+        document.body != null) {
+      let worker;
+      try {
+        worker = new Worker(options.workerUrl, {type: 'module'});
+      } catch (err) {
+        // E.g. the URL is cross-origin, or the Content Security Policy of the
+        // page doesn't allow it.
+        workerFailed = true;
+        return undefined;
+      }
+      matcher = new utils.WorkerTextMatcher(
+          worker, document.body, {normalization: options.normalization});
+      document.fragmentDirective.matcher = matcher;
+      // E.g. the worker script couldn't be loaded. The searches it was doing
+      // are done again on the main thread.
+      worker.addEventListener('error', () => {
+        workerFailed = true;
+        matcher.disconnect();
+        matcher = undefined;
+        document.fragmentDirective.matcher = undefined;
+      });
+    }
+    return matcher;
+  };
+
+  /**
+   * Stores the fragment directive of the current URL in
+   * document.fragmentDirective, replacing the previous one. If the polyfill is
+   * configured to hide it, it's also removed from the URL, like browsers with
+   * native support do, so that location.hash and document.URL only contain the
+   * part of the fragment before ':~:'. Rewriting the URL with
+   * history.replaceState doesn't fire a hashchange event.
+   */
+  const captureFragmentDirective = () => {
     const hash = document.location.hash;
+    const delimiterIndex = hash.indexOf(':~:');
+    if (delimiterIndex === -1) {
+      document.fragmentDirective.setDirective('');
+      return;
+    }
+    document.fragmentDirective.setDirective(hash.substring(delimiterIndex + 3));
+
+    if (options.hideFragmentDirective) {
+      const visibleHash = hash.substring(0, delimiterIndex);
+      const href = document.location.href;
+      const url = href.substring(0, href.indexOf('#')) +
+          (visibleHash.length > 1 ? visibleHash : '');
+      window.history.replaceState(window.history.state, '', url);
+    }
+  };
+
+  // Aborts the processing of the previous directive, if still running.
+  let processingController = null;
+
+  // Keeps the highlights of the current directive across re-renders, if the
+  // polyfill is configured to.
+  let persistentHighlights = null;
+
+  // Events showing that the user scrolled the page themselves.
+  const USER_SCROLL_EVENTS = ['wheel', 'touchmove', 'keydown'];
 
-    // Return early when there is no hash.
-    if (!hash) {
+  // The keys which scroll the page, as reported by KeyboardEvent.key.
+  const USER_SCROLL_KEYS = [
+    'ArrowUp',
+    'ArrowDown',
+    'ArrowLeft',
+    'ArrowRight',
+    'PageUp',
+    'PageDown',
+    'Home',
+    'End',
+    ' ',
+  ];
+
+  /**
+   * Highlights the matches of the processed directives, and records them in
+   * document.fragmentDirective.
+   * @param {Object<string, Element[][]>} processedFragmentDirectives - the
+   *     result of processFragmentDirectivesAsync. With highlightAll, each
+   *     directive has the marks of each of its matches instead.
+   * @param {TextFragment[]} textFragments - the text directives that were
+   *     processed, in the same order.
+   * @return {Element|AbstractRange|undefined} - the first element or range
+   *     highlighted in the document, whatever the type of its directive, if
+   *     any: ranges are highlighted for custom highlights and overlays.
+   */
+  const applyMatches = (processedFragmentDirectives, textFragments) => {
+    const createdMarks = processedFragmentDirectives['text'] || [];
+    document.fragmentDirective.setMatches(createdMarks);
+    if (options.persistHighlights) {
+      if (persistentHighlights != null) {
+        persistentHighlights.disconnect();
+      }
+      // The marks of each directive, kept in step with the directives.
+      const marksPerDirective = [...createdMarks];
+      persistentHighlights =
+          new utils.PersistentHighlights(document, document.body, {
+            normalization: options.normalization,
+            onReanchor: (textFragment, marks) => {
+              marksPerDirective[textFragments.indexOf(textFragment)] = marks;
+              document.fragmentDirective.setMatches(marksPerDirective);
+            },
+          });
+      createdMarks.forEach((marks, index) => {
+        // PersistentHighlights only keeps the <mark> elements of a single
+        // match alive.
+        if (!marks.some(
+                (mark) => Array.isArray(mark) ||
+                    utils.internal.isAbstractRange(mark))) {
+          const createMark = options.createMark &&
+              ((documentToProcess, details) => options.createMark(
+                   documentToProcess, {...details, directiveIndex: index}));
+          persistentHighlights.add(textFragments[index], marks, createMark);
+        }
+      });
+    }
+    // Marks in iframes are styled by the stylesheets of their own document.
+    const markedDocuments = new Set([document]);
+    for (const marks of createdMarks) {
+      for (const mark of marks.flat()) {
+        markedDocuments.add(
+            utils.internal.isAbstractRange(mark) ?
+                mark.startContainer.ownerDocument :
+                mark.ownerDocument);
+      }
+    }
+    markedDocuments.forEach((markedDocument) => {
+      utils.applyTargetTextStyle(markedDocument);
+    });
+    const firstHighlights = Object.values(processedFragmentDirectives)
+                                .flat()
+                                .map((marks) => marks.flat()[0])
+                                .filter((highlighted) => highlighted != null);
+    return firstHighlights.reduce(
+        (first, highlighted) =>
+            first == null || isBeforeInDocument(highlighted, first) ?
+            highlighted :
+            first,
+        undefined);
+  };
+
+  /**
+   * @param {Element|AbstractRange} highlighted
+   * @return {{node: Node, offset: number}} - where |highlighted| starts, or
+   *     where its iframe is if it's in the document of an iframe.
+   */
+  const getStartInDocument = (highlighted) => {
+    const isRange = utils.internal.isAbstractRange(highlighted);
+    let node = isRange ? highlighted.startContainer : highlighted;
+    let offset = isRange ? highlighted.startOffset : 0;
+    while (node.ownerDocument !== document &&
+           node.ownerDocument.defaultView != null &&
+           node.ownerDocument.defaultView.frameElement != null) {
+      node = node.ownerDocument.defaultView.frameElement;
+      offset = 0;
+    }
+    return {node: node, offset: offset};
+  };
+
+  /**
+   * @param {Element|AbstractRange} a
+   * @param {Element|AbstractRange} b
+   * @return {boolean} - true if |a| starts before |b| in the document.
+   */
+  const isBeforeInDocument = (a, b) => {
+    const startA = getStartInDocument(a);
+    const startB = getStartInDocument(b);
+    return utils.internal.compareFlatTreePoints(
+               startA.node, startA.offset, startB.node, startB.offset) < 0;
+  };
+
+  /**
+   * Scrolls to a highlighted match.
+   * @param {Element|AbstractRange} highlighted - the first element highlighted
+   *     for the match, or its range if it's highlighted with a custom
+   *     highlight or an overlay.
+   */
+  const scrollToMatch = (highlighted) => {
+    if (utils.internal.isAbstractRange(highlighted)) {
+      const start = highlighted.startContainer;
+      utils.scrollElementIntoView(
+          start.nodeType === Node.ELEMENT_NODE ? start : start.parentElement);
+      return;
+    }
+    utils.scrollElementIntoView(highlighted);
+  };
+
+  const init = async () => {
+    if (processingController != null) {
+      processingController.abort();
+      processingController = null;
+    }
+    if (persistentHighlights != null) {
+      persistentHighlights.disconnect();
+      persistentHighlights = null;
+    }
+    const directive = document.fragmentDirective.directive;
+
+    // Return early when there is no fragment directive.
+    if (!directive) {
       return;
     }
 
-    const fragmentDirectives = utils.getFragmentDirectives(hash);
+    const fragmentDirectives = utils.getFragmentDirectives(`:~:${directive}`);
     const parsedFragmentDirectives = utils.parseFragmentDirectives(
         fragmentDirectives,
     );
-    const processedFragmentDirectives = utils.processFragmentDirectives(
-        parsedFragmentDirectives,
-    );
-    const createdMarks = processedFragmentDirectives['text'];
-    utils.applyTargetTextStyle();
-    const firstFoundMatch = createdMarks.find((marks) => marks.length)[0];
-    if (firstFoundMatch) {
-      window.setTimeout(() => utils.scrollElementIntoView(firstFoundMatch));
+    // |fuzzyMatching| is either true, to use the default minimum score, or
+    // the minimum score itself.
+    let fuzzyMinScore;
+    if (options.fuzzyMatching === true) {
+      fuzzyMinScore = utils.DEFAULT_FUZZY_MIN_SCORE;
+    } else if (typeof options.fuzzyMatching === 'number') {
+      fuzzyMinScore = options.fuzzyMatching;
+    }
+    const controller = new AbortController();
+    processingController = controller;
+    // Process the directives in slices, so that large pages stay responsive.
+    const processFragmentDirectives = () =>
+        utils.processFragmentDirectivesAsync(
+            parsedFragmentDirectives, document, document.body, {
+              fuzzyMinScore,
+              searchIframes: Boolean(options.searchIframes),
+              normalization: options.normalization,
+              signal: controller.signal,
+              matcher: getMatcher(),
+              customHighlight: Boolean(options.customHighlight),
+              overlay: Boolean(options.overlay),
+              createMark: options.createMark,
+            });
+
+    let userScrolled = false;
+    const onUserScroll = (event) => {
+      // Other keys, e.g. shortcuts or typing, don't move the page.
+      if (event.type !== 'keydown' || USER_SCROLL_KEYS.includes(event.key)) {
+        userScrolled = true;
+      }
+    };
+    const textFragments = parsedFragmentDirectives['text'] || [];
+    try {
+      const firstFoundMatch =
+          applyMatches(await processFragmentDirectives(), textFragments);
+      if (firstFoundMatch) {
+        window.setTimeout(() => scrollToMatch(firstFoundMatch));
+        return;
+      }
+
+      // Pages rendered on the client may only add the target text later on.
+      const timeoutMs =
+          options.matchRetryTimeout ?? utils.DEFAULT_MATCH_RETRY_TIMEOUT_MS;
+      if (!textFragments.length || timeoutMs <= 0) {
+        return;
+      }
+      for (const type of USER_SCROLL_EVENTS) {
+        window.addEventListener(type, onUserScroll, {passive: true});
+      }
+      const lateMatch = await utils.waitForTextFragmentMatch(
+          textFragments, document, document.body, {
+            timeoutMs,
+            normalization: options.normalization,
+            signal: controller.signal,
+          });
+      if (lateMatch == null) {
+        return;
+      }
+      const lateFoundMatch =
+          applyMatches(await processFragmentDirectives(), textFragments);
+      // Don't take the user away from where they scrolled to in the meantime.
+      if (lateFoundMatch && !userScrolled) {
+        window.setTimeout(() => scrollToMatch(lateFoundMatch));
+      }
+    } catch (err) {
+      // A newer directive is being processed instead.
+      if (controller.signal.aborted) {
+        return;
+      }
+      // Nothing awaits init, so report the error like an uncaught exception
+      // rather than leaving it as an unhandled rejection.
+      if (typeof window.reportError === 'function') {
+        window.reportError(err);
+      }
+    } finally {
+      for (const type of USER_SCROLL_EVENTS) {
+        window.removeEventListener(type, onUserScroll);
+      }
+      if (processingController === controller) {
+        processingController = null;
+      }
     }
   };
 
+  // Capture the directive right away, so scripts running before the page has
+  // loaded already see the URL without it.
+  captureFragmentDirective();
+
   if (document.readyState !== 'complete') {
     document.addEventListener('readystatechange', event => {
       if (event.target.readyState === 'complete') {
@@ -58,5 +344,8 @@ import * as utils from './text-fragment-utils.js';
     init();
   }
 
-  window.addEventListener('hashchange', init);
+  window.addEventListener('hashchange', () => {
+    captureFragmentDirective();
+    init();
+  });
 })();
@@ -0,0 +1,133 @@
+import {FragmentDirective, TextDirective} from '../../src/fragment-directive.js';
+import * as generationUtils from '../../src/fragment-generation-utils.js';
+import * as utils from '../../src/text-fragment-utils.js';
+
+describe('FragmentDirective', function() {
+  beforeEach(function() {
+    generationUtils.setTimeout(500);
+  });
+
+  it('exposes the text directives of a fragment directive', function() {
+    const fragmentDirective = new FragmentDirective();
+    expect(fragmentDirective.items).toEqual([]);
+
+    fragmentDirective.setDirective(
+        'text=pre-,start%2C,end,-suf&unknown=x&text=&text=single');
+    expect(fragmentDirective.directive)
+        .toEqual('text=pre-,start%2C,end,-suf&unknown=x&text=&text=single');
+    expect(fragmentDirective.items.length).toEqual(2);
+    expect(fragmentDirective.items[0]).toEqual(jasmine.objectContaining({
+      type: 'text',
+      prefix: 'pre',
+      textStart: 'start,',
+      textEnd: 'end',
+      suffix: 'suf',
+    }));
+    expect(fragmentDirective.items[1]).toEqual(jasmine.objectContaining({
+      type: 'text',
+      prefix: '',
+      textStart: 'single',
+      textEnd: '',
+      suffix: '',
+    }));
+    expect(fragmentDirective.items.map((item) => item.toString())).toEqual([
+      'text=pre-,start%2C,end,-suf',
+      'text=single',
+    ]);
+
+    fragmentDirective.setDirective('');
+    expect(fragmentDirective.items).toEqual([]);
+  });
+
+  it('exposes the ranges matched by its directives', function() {
+    document.body.innerHTML = __html__['basic-test.html'];
+    const fragmentDirective = new FragmentDirective();
+    fragmentDirective.setDirective('text=trivial%20test&text=elephant');
+    const processed =
+        utils.processFragmentDirectives(utils.parseFragmentDirectives({
+          text: ['trivial%20test', 'elephant'],
+        }));
+    fragmentDirective.setMatches(processed['text']);
+
+    // Each directive keeps its place, even without a match.
+    expect(fragmentDirective.ranges.length).toEqual(2);
+    expect(fragmentDirective.ranges[0].toString()).toEqual('trivial test');
+    expect(fragmentDirective.ranges[1]).toBeNull();
+
+    fragmentDirective.setDirective('text=trivial%20test');
+    expect(fragmentDirective.ranges).toEqual([]);
+  });
+
+  it('records the first match of directives highlighted everywhere',
+     function() {
+       document.body.innerHTML = __html__['all-matches.html'];
+       const fragmentDirective = new FragmentDirective();
+       fragmentDirective.setDirective('text=cat&text=dog');
+       const processed = utils.processFragmentDirectives(
+           {text: [{textStart: 'cat'}, {textStart: 'dog'}]}, document,
+           document.body, {highlightAll: true});
+       expect(processed['text'][0].length).toBeGreaterThan(1);
+       fragmentDirective.setMatches(processed['text']);
+
+       expect(fragmentDirective.ranges.length).toEqual(2);
+       expect(fragmentDirective.ranges[0].toString()).toEqual('cat');
+       expect(fragmentDirective.ranges[0].intersectsNode(
+                  processed['text'][0][1][0]))
+           .toBeFalse();
+       expect(fragmentDirective.ranges[1]).toBeNull();
+     });
+
+  it('creates a text directive from a range or a selection', async function() {
+    document.body.innerHTML = __html__['basic-test.html'];
+    const range = document.createRange();
+    range.selectNodeContents(document.body.firstChild.firstChild);
+    const originalText = range.toString();
+
+    const fragmentDirective = new FragmentDirective();
+    const directive = await fragmentDirective.createSelectorDirective(range);
+    expect(directive).toBeInstanceOf(TextDirective);
+    expect(directive.textStart)
+        .toEqual('this is a trivial test of the marking logic.');
+    expect(directive.toString())
+        .toEqual(
+            'text=this%20is%20a%20trivial%20test%20of%20the%20marking%20logic.');
+    // The caller's range is left untouched.
+    expect(range.toString()).toEqual(originalText);
+
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    const fromSelection =
+        await fragmentDirective.createSelectorDirective(selection);
+    expect(fromSelection.toString()).toEqual(directive.toString());
+  });
+
+  it('leaves a selection ending mid-word untouched', async function() {
+    document.body.innerHTML = __html__['basic-test.html'];
+    const textNode = document.body.firstChild.firstChild;
+    const range = document.createRange();
+    // 'is a trivi', which generation expands to 'is a trivial'.
+    range.setStart(textNode, textNode.data.indexOf('is a'));
+    range.setEnd(textNode, textNode.data.indexOf('al test'));
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+
+    const fragmentDirective = new FragmentDirective();
+    await fragmentDirective.createSelectorDirective(selection);
+    const selected = selection.getRangeAt(0);
+    expect(selected.toString()).toEqual('is a trivi');
+    expect(range.toString()).toEqual('is a trivi');
+  });
+
+  it('rejects when no directive can be created', async function() {
+    const fragmentDirective = new FragmentDirective();
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+
+    await expectAsync(fragmentDirective.createSelectorDirective(selection))
+        .toBeRejectedWith(jasmine.objectContaining({
+          status: generationUtils.GenerateFragmentStatus.INVALID_SELECTION,
+        }));
+  });
+});
@@ -1545,6 +1545,130 @@ describe('FragmentGenerationUtils', function() {
        expect(range.endOffset).toBe(textNode.textContent.length);
      });
 
+  it('can generate a fragment for a range in a shadow root', function() {
+    document.body.innerHTML = __html__['shadow-dom.html'];
+    const shadowRoot =
+        document.getElementById('host').attachShadow({mode: 'open'});
+    shadowRoot.innerHTML = 'some <i>hidden</i> words';
+
+    // "hidden words" also appears in the light DOM, so context from outside
+    // the shadow root is needed.
+    const range = document.createRange();
+    range.setStart(shadowRoot.querySelector('i').firstChild, 0);
+    range.setEnd(shadowRoot.lastChild, 6);
+
+    const result = generationUtils.generateFragmentFromRange(range);
+    expect(result.status)
+        .toEqual(generationUtils.GenerateFragmentStatus.SUCCESS);
+    expect(range.endOffset).toEqual(6);
+
+    const matches = fragmentUtils.findAllMatches(result.fragment);
+    expect(matches.length).toEqual(1);
+    expect(matches[0].startContainer).toBe(range.startContainer);
+  });
+
+  it('leaves invisible formatting characters out of fragments', function() {
+    document.body.innerHTML = __html__['invisible-chars.html'];
+    const range = document.createRange();
+    range.setStart(document.getElementById('shy').firstChild, 0);
+    range.setEnd(document.getElementById('zw').firstChild, 16);
+
+    const result = generationUtils.generateFragmentFromRange(range);
+    expect(result.status)
+        .toEqual(generationUtils.GenerateFragmentStatus.SUCCESS);
+    for (const term of Object.values(result.fragment)) {
+      expect(term).not.toMatch(/[\u00ad\u200b-\u200d\u2060\ufeff]/);
+    }
+
+    const matches = fragmentUtils.findAllMatches(result.fragment);
+    expect(matches.length).toEqual(1);
+    expect(matches[0].toString()).toEqual(range.toString());
+  });
+
+  it('keeps typographic variants in fragments', function() {
+    document.body.innerHTML = __html__['typography.html'];
+    const paragraph = document.body.firstChild;
+    const range = document.createRange();
+    range.setStart(paragraph.firstChild, 0);
+    range.setEnd(paragraph.lastChild, paragraph.lastChild.length);
+
+    const result = generationUtils.generateFragmentFromRange(range);
+    expect(result.status)
+        .toEqual(generationUtils.GenerateFragmentStatus.SUCCESS);
+    expect(result.fragment.textStart)
+        .toEqual(
+            'it’s a well——known “fact”: ' +
+            'straße, œuvre, final and 10 km.');
+
+    const matches = fragmentUtils.findAllMatches(result.fragment);
+    expect(matches.length).toEqual(1);
+    expect(matches[0].toString()).toEqual(range.toString());
+  });
+
+  it('stops generating fragments when aborted', function() {
+    document.body.innerHTML = __html__['basic-test.html'];
+    const range = document.createRange();
+    range.selectNodeContents(document.body.firstChild.firstChild);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    const controller = new AbortController();
+
+    expect(generationUtils
+               .generateFragmentFromRange(
+                   range, Date.now(), {signal: controller.signal})
+               .status)
+        .toEqual(generationUtils.GenerateFragmentStatus.SUCCESS);
+
+    controller.abort();
+    expect(generationUtils
+               .generateFragmentFromRange(
+                   range, Date.now(), {signal: controller.signal})
+               .status)
+        .toEqual(generationUtils.GenerateFragmentStatus.ABORTED);
+    expect(generationUtils
+               .generateFragment(
+                   selection, Date.now(), {signal: controller.signal})
+               .status)
+        .toEqual(generationUtils.GenerateFragmentStatus.ABORTED);
+  });
+
+  it('generates fragments unique with the given normalization', function() {
+    document.body.innerHTML = __html__['normalization.html'];
+    const range = document.createRange();
+    const textNode = document.getElementsByTagName('p')[3].firstChild;
+    range.setStart(textNode, 0);
+    range.setEnd(textNode, 5);
+    const normalization = {caseSensitive: true};
+
+    const result = generationUtils.generateFragmentFromRange(
+        range, Date.now(), {normalization: normalization});
+    expect(result.status)
+        .toEqual(generationUtils.GenerateFragmentStatus.SUCCESS);
+    expect(result.fragment.textStart).toEqual('Apple');
+
+    const matches = fragmentUtils.findAllMatches(
+        result.fragment, {normalization: normalization});
+    expect(matches.length).toEqual(1);
+    expect(matches[0].toString()).toEqual('Apple');
+  });
+
+  it('stops watching the document once generation is idle', async function() {
+    document.body.innerHTML = __html__['ambiguous-match.html'];
+    const range = document.createRange();
+    range.selectNodeContents(document.getElementById('target3'));
+    const disconnect =
+        spyOn(fragmentUtils.DocumentTextIndex.prototype, 'disconnect')
+            .and.callThrough();
+
+    const result = generationUtils.generateFragmentFromRange(range);
+    expect(result.status)
+        .toEqual(generationUtils.GenerateFragmentStatus.SUCCESS);
+    disconnect.calls.reset();
+    await new Promise((resolve) => window.setTimeout(resolve, 1100));
+    expect(disconnect).toHaveBeenCalled();
+  });
+
   it('Given a range that includes visible text on the edges\n' +
          'When moveRangeEdgesToTextNodes is called\n' +
          'Then the range edges are not changed',
@@ -28,6 +28,236 @@ describe('TextFragmentUtils', function() {
     expect(directives.text).toEqual(['bar', 'baz']);
   });
 
+  it('ignores unknown and malformed directives in a hash', function() {
+    const directives = utils.getFragmentDirectives(
+        '#foo:~:text=bar&unknown=1&&text=%E0%A4%A&text=&text=baz');
+    expect(directives.text).toEqual(['bar', 'baz']);
+
+    expect(utils.getFragmentDirectives('#foo')).toEqual({});
+    expect(utils.getFragmentDirectives('#:~:selector=foo')).toEqual({});
+  });
+
+  it('tokenizes a fragment directive with diagnostics', function() {
+    const hash = '#id:~:text=a&text=%ZZ&text=,end&foo=bar&text=a,b,c&text=b';
+    const tokens = utils.tokenizeFragmentDirective(hash);
+    const Status = utils.FragmentDirectiveStatus;
+
+    expect(tokens.map((token) => token.status)).toEqual([
+      Status.VALID,
+      Status.MALFORMED_ENCODING,
+      Status.EMPTY_TEXT_START,
+      Status.UNKNOWN_DIRECTIVE,
+      Status.INVALID_SYNTAX,
+      Status.VALID,
+    ]);
+    expect(tokens[3].type).toEqual('foo');
+    expect(tokens[3].value).toEqual('bar');
+    expect(tokens[5].parsed.textStart).toEqual('b');
+    expect(tokens[1].parsed).toBeUndefined();
+
+    // Positions point back into the tokenized string.
+    for (const token of tokens) {
+      expect(hash.substring(token.start, token.end))
+          .toEqual(`${token.type}=${token.value}`);
+    }
+
+    expect(utils.tokenizeFragmentDirective('#no-directive')).toEqual([]);
+  });
+
+  it('parses text directives following the spec', function() {
+    const parse = utils.forTesting.parseTextFragmentDirective;
+    expect(parse('pre-,start,end,-suf')).toEqual({
+      prefix: 'pre',
+      textStart: 'start',
+      textEnd: 'end',
+      suffix: 'suf',
+    });
+    // Dashes are only special at the edges of the prefix and suffix.
+    expect(parse('well-known').textStart).toEqual('well-known');
+    expect(parse('a%2C%20b%2D,-c%26d')).toEqual({
+      prefix: '',
+      textStart: 'a, b-',
+      textEnd: '',
+      suffix: 'c&d',
+    });
+
+    expect(parse('')).toBeNull();
+    expect(parse('pre-')).toBeNull();
+    expect(parse('pre-,-suf')).toBeNull();
+    expect(parse('start,')).toBeNull();
+    expect(parse('a,b,c')).toBeNull();
+    expect(parse('a,b,c,d,e')).toBeNull();
+    expect(parse('%E0%A4%A')).toBeNull();
+  });
+
+  it('serializes text fragments', function() {
+    expect(utils.stringifyTextFragment({textStart: 'foo'})).toEqual('foo');
+    expect(utils.stringifyTextFragment({
+      prefix: 'a-b',
+      textStart: 'one, two',
+      textEnd: 'three & four',
+      suffix: '-five',
+    })).toEqual('a%2Db-,one%2C%20two,three%20%26%20four,-%2Dfive');
+    // Empty optional parts are left out.
+    expect(utils.stringifyTextFragment(
+               {prefix: '', textStart: 'foo', textEnd: '', suffix: ''}))
+        .toEqual('foo');
+    // Without textStart, the directive wouldn't parse.
+    expect(() => utils.stringifyTextFragment({textStart: ''})).toThrowError();
+    expect(() => utils.stringifyTextFragment({prefix: 'foo'})).toThrowError();
+    expect(() => utils.buildTextFragmentUrl('https://example.com/', [
+      {textStart: 'foo'},
+      {prefix: 'foo', textStart: ''},
+    ])).toThrowError();
+  });
+
+  it('builds URLs that round-trip through the parser', function() {
+    const fragments = [
+      {prefix: 'x-y', textStart: 'a,b', textEnd: 'c&d', suffix: '-e'},
+      {prefix: '', textStart: 'ñandú 100%', textEnd: '', suffix: ''},
+    ];
+    const url = utils.buildTextFragmentUrl(
+        'https://example.com/page?q=1#section:~:text=old', fragments);
+    expect(url.startsWith('https://example.com/page?q=1#section:~:text='))
+        .toBeTrue();
+    expect(url).not.toContain('old');
+
+    const hash = url.substring(url.indexOf('#'));
+    expect(utils.parseFragmentDirectives(utils.getFragmentDirectives(hash)))
+        .toEqual({text: fragments});
+
+    expect(utils.buildTextFragmentUrl(new URL('https://example.com/'), [
+      {textStart: 'foo'}
+    ])).toEqual('https://example.com/#:~:text=foo');
+    expect(utils.buildTextFragmentUrl('https://example.com/#id:~:text=foo', []))
+        .toEqual('https://example.com/#id');
+  });
+
+  it('does not throw when processing malformed directives', function() {
+    document.body.innerHTML = __html__['basic-test.html'];
+    const directives = utils.getFragmentDirectives('#:~:text=%E0%A4%A');
+    const parsedDirectives = utils.parseFragmentDirectives(directives);
+    expect(utils.processFragmentDirectives(parsedDirectives)).toEqual({});
+
+    const parsedMalformed = utils.parseFragmentDirectives({text: ['%ZZ']});
+    expect(parsedMalformed).toEqual({text: []});
+  });
+
+  it('supports registering custom directives', function() {
+    document.body.innerHTML = __html__['marks-test.html'];
+    // A toy directive highlighting an element by id.
+    utils.registerDirective('id', {
+      parse: (value) => value ?
+          {status: utils.FragmentDirectiveStatus.VALID, parsed: value} :
+          {status: utils.FragmentDirectiveStatus.INVALID_SYNTAX},
+      match: (id, documentToProcess) => documentToProcess.getElementById(id),
+      highlight: (element) => {
+        element.classList.add('highlighted');
+        return [element];
+      },
+    });
+
+    try {
+      const hash = '#:~:id=e&id=&id=missing&text=elaborate';
+      expect(utils.tokenizeFragmentDirective(hash).map((token) => token.status))
+          .toEqual([
+            utils.FragmentDirectiveStatus.VALID,
+            utils.FragmentDirectiveStatus.INVALID_SYNTAX,
+            utils.FragmentDirectiveStatus.VALID,
+            utils.FragmentDirectiveStatus.VALID,
+          ]);
+
+      const directives = utils.getFragmentDirectives(hash);
+      expect(directives).toEqual({id: ['e', 'missing'], text: ['elaborate']});
+      const parsedDirectives = utils.parseFragmentDirectives(directives);
+      const processed = utils.processFragmentDirectives(parsedDirectives);
+
+      const e = document.getElementById('e');
+      expect(processed['id']).toEqual([[e], []]);
+      expect(e.classList).toContain('highlighted');
+      // Text directives keep working alongside custom ones.
+      expect(processed['text'].length).toEqual(1);
+      expect(processed['text'][0].map((mark) => mark.textContent).join(''))
+          .toEqual('elaborate');
+    } finally {
+      expect(utils.unregisterDirective('id')).toBeTrue();
+    }
+
+    expect(utils.getFragmentDirectives('#:~:id=e')).toEqual({});
+    expect(() => utils.registerDirective('a=b', {})).toThrowError();
+  });
+
+  it('parses selector directives', function() {
+    const statuses = (hash) =>
+        utils.tokenizeFragmentDirective(hash).map((token) => token.status);
+    const tokens = utils.tokenizeFragmentDirective(
+        '#:~:selector(type=CssSelectorSelector,value=img%5Bsrc%24%3D%22chart.png%22%5D)');
+    expect(tokens.length).toEqual(1);
+    expect(tokens[0].type).toEqual('selector');
+    expect(tokens[0].status).toEqual(utils.FragmentDirectiveStatus.VALID);
+    expect(tokens[0].parsed).toEqual({
+      type: 'CssSelectorSelector',
+      value: 'img[src$="chart.png"]',
+    });
+
+    expect(statuses(
+               '#:~:selector=img&selector(value=img)' +
+               '&selector(type=Unknown,value=img)' +
+               '&selector(type=CssSelectorSelector,value=%5B)' +
+               '&selector(type=CssSelectorSelector,value=%ZZ)&text(foo)'))
+        .toEqual([
+          utils.FragmentDirectiveStatus.INVALID_SYNTAX,
+          utils.FragmentDirectiveStatus.INVALID_SYNTAX,
+          utils.FragmentDirectiveStatus.INVALID_SYNTAX,
+          utils.FragmentDirectiveStatus.INVALID_SYNTAX,
+          utils.FragmentDirectiveStatus.MALFORMED_ENCODING,
+          utils.FragmentDirectiveStatus.INVALID_SYNTAX,
+        ]);
+  });
+
+  it('highlights elements matched by selector directives', function() {
+    document.body.innerHTML = __html__['selector-directive.html'];
+    const directives = utils.getFragmentDirectives(
+        '#:~:text=Revenue%20per&selector(type=CssSelectorSelector,value=figure%20img)' +
+        '&selector(type=CssSelectorSelector,value=td.total)' +
+        '&selector(type=CssSelectorSelector,value=video)');
+    const processed = utils.processFragmentDirectives(
+        utils.parseFragmentDirectives(directives));
+
+    const img = document.querySelector('img');
+    const cell = document.querySelector('td.total');
+    expect(processed['selector']).toEqual([[img], [cell], []]);
+    expect(img.classList).toContain(utils.TARGET_ELEMENT_CSS_CLASS_NAME);
+    expect(cell.classList).toContain(utils.TARGET_ELEMENT_CSS_CLASS_NAME);
+    expect(processed['text'][0].map((mark) => mark.textContent).join(''))
+        .toEqual('Revenue per');
+
+    // Matching is scoped to the processing root.
+    img.classList.remove(utils.TARGET_ELEMENT_CSS_CLASS_NAME);
+    const scoped = utils.processFragmentDirectives(
+        utils.parseFragmentDirectives({
+          selector: ['type=CssSelectorSelector,value=img'],
+        }),
+        document, document.querySelector('table'));
+    expect(scoped['selector']).toEqual([[]]);
+
+    // Selectors parsed where there was no document to check them with are
+    // checked against the target document.
+    const invalid = {type: 'CssSelectorSelector', value: 'img['};
+    expect(utils.processFragmentDirectives({selector: [invalid]})).toEqual({
+      selector: [[]]
+    });
+    expect(utils.processFragmentDirectives(
+               {selector: [invalid]}, document, document.body,
+               {highlightAll: true}))
+        .toEqual({selector: [[]]});
+
+    // Removing the highlight keeps the element in the page.
+    utils.removeMarks(processed['selector'].flat());
+    expect(cell.isConnected).toBeTrue();
+    expect(cell.classList).not.toContain(utils.TARGET_ELEMENT_CSS_CLASS_NAME);
+  });
+
   it('marks simple matching text', function() {
     document.body.innerHTML = __html__['basic-test.html'];
 
@@ -134,6 +364,805 @@ describe('TextFragmentUtils', function() {
     expect(marks[0].parentElement.id).toEqual('root');
   });
 
+  it('finds every match of a text fragment', function() {
+    document.body.innerHTML = __html__['all-matches.html'];
+    const texts = (ranges) => ranges.map((range) => range.toString());
+
+    expect(texts(utils.findAllMatches({textStart: 'cat'}))).toEqual([
+      'cat',
+      'cat',
+      'cat',
+      'cat',
+    ]);
+    expect(utils.findAllMatches({textStart: 'cat'}, {limit: 3}).length)
+        .toEqual(3);
+    // Ambiguity checks still stop at two matches.
+    expect(utils.processTextFragmentDirective({textStart: 'cat'}).length)
+        .toEqual(2);
+
+    // Each occurrence of textStart gives a single, shortest match.
+    expect(texts(utils.findAllMatches({textStart: 'the', textEnd: 'cat'})))
+        .toEqual(['The cat', 'The cat', 'the cat']);
+    expect(texts(utils.findAllMatches({prefix: 'and', textStart: 'the cat'})))
+        .toEqual(['the cat']);
+    // Overlapping matches are skipped.
+    expect(texts(utils.findAllMatches({textStart: 'a a'}))).toEqual(['a a']);
+    expect(utils.findAllMatches({textStart: 'dog'})).toEqual([]);
+  });
+
+  it('highlights every match when asked to', function() {
+    document.body.innerHTML = __html__['all-matches.html'];
+    const processed = utils.processFragmentDirectives(
+        {text: [{textStart: 'cat'}, {textStart: 'the', textEnd: 'cat'}]},
+        document, document.body, {highlightAll: true});
+
+    expect(processed['text'].length).toEqual(2);
+    expect(processed['text'][0].map(marksArrayToString)).toEqual([
+      'cat',
+      'cat',
+      'cat',
+      'cat',
+    ]);
+    expect(processed['text'][1].map(marksArrayToString)).toEqual([
+      'The cat',
+      'The cat',
+      'the cat',
+    ]);
+    expect(document.body.textContent.replace(/\s+/g, ' ').trim())
+        .toEqual(
+            'The cat sat. The cat ran. Another cat, and the cat again. a a a');
+  });
+
+  it('finds approximate matches', function() {
+    document.body.innerHTML = __html__['fuzzy-match.html'];
+
+    let match = utils.findFuzzyMatch({textStart: 'quick brwn fox'});
+    expect(match.range.toString()).toEqual('quick brown fox');
+    expect(match.score).toBeCloseTo(1 - 1 / 14);
+
+    match =
+        utils.findFuzzyMatch({textStart: 'Pack my bx', textEnd: 'liquer jugs'});
+    expect(match.range.toString())
+        .toEqual('Pack my box with five dozen liquor jugs');
+    expect(match.score).toBeCloseTo(1 - 2 / 21);
+
+    // Exact matches score 1.
+    expect(utils.findFuzzyMatch({textStart: 'lazy dog'}).score).toEqual(1);
+
+    expect(utils.findFuzzyMatch({
+      textStart: 'something else entirely'
+    })).toBeNull();
+    expect(utils.findFuzzyMatch({textStart: 'quick brwn fox'}, {
+      minScore: 0.99
+    })).toBeNull();
+  });
+
+  it('finds the closest pair of textStart and textEnd', function() {
+    document.body.innerHTML = '<p>The quick brwn fox jumps over the lazy ' +
+        'dog.</p><p>A quick brown fox.</p>';
+
+    // The exact textStart is after the only textEnd, so the closest pair
+    // starts with an approximate one.
+    const match = utils.findFuzzyMatch(
+        {textStart: 'quick brown fox', textEnd: 'lazy dog'});
+    expect(match.range.toString())
+        .toEqual('quick brwn fox jumps over the lazy dog');
+    expect(match.score).toBeCloseTo(1 - 1 / 23);
+  });
+
+  it('describes the matches of a text fragment', function() {
+    document.body.innerHTML = __html__['all-matches.html'];
+    const div = document.getElementsByTagName('div')[0];
+
+    let descriptors = utils.describeMatches(
+        {prefix: 'and', textStart: 'THE', textEnd: 'cat', suffix: 'again'});
+    expect(descriptors.length).toEqual(1);
+    let [descriptor] = descriptors;
+    expect(descriptor.range.toString()).toEqual('the cat');
+    expect(descriptor.text).toEqual('the cat');
+    expect(descriptor.normalizedText).toEqual('the cat');
+    expect(descriptor.parts.prefix.toString()).toEqual('and');
+    expect(descriptor.parts.textStart.toString()).toEqual('the');
+    expect(descriptor.parts.textEnd.toString()).toEqual('cat');
+    expect(descriptor.parts.suffix.toString()).toEqual('again');
+    expect(descriptor.block).toBe(div);
+    expect(descriptor.endOffset - descriptor.startOffset).toEqual(7);
+    expect(descriptor.ambiguous).toBeFalse();
+
+    descriptors = utils.describeMatches({textStart: 'The cat'});
+    expect(descriptors.map((descriptor) => descriptor.startOffset)).toEqual([
+      0,
+      13,
+      'The cat sat. The cat ran.\nAnother cat, and '.length,
+    ]);
+    expect(descriptors.map((descriptor) => descriptor.text)).toEqual([
+      'The cat',
+      'The cat',
+      'the cat',
+    ]);
+    expect(descriptors.every((descriptor) => descriptor.ambiguous)).toBeTrue();
+    expect(descriptors[0].parts.prefix).toBeNull();
+    expect(descriptors[0].parts.textEnd).toBeNull();
+
+    // Matches across blocks are contained by the root.
+    [descriptor] =
+        utils.describeMatches({textStart: 'ran', textEnd: 'another'});
+    expect(descriptor.block).toBe(document.body);
+    expect(descriptor.text.replace(/\s+/g, ' ')).toEqual('ran. Another');
+    expect(descriptor.startOffset).toEqual('The cat sat. The cat '.length);
+
+    expect(utils.describeMatches({textStart: 'dog'})).toEqual([]);
+  });
+
+  it('waits for text matching a fragment to be added', async function() {
+    document.body.innerHTML = __html__['basic-test.html'];
+    const waiting = utils.waitForTextFragmentMatch(
+        [{textStart: 'hydrated'}, {textStart: 'late content'}]);
+    document.body.appendChild(document.createElement('div'));
+    await new Promise((resolve) => window.setTimeout(resolve));
+    const paragraph = document.createElement('p');
+    paragraph.textContent = 'Some late content.';
+    document.body.appendChild(paragraph);
+
+    const range = await waiting;
+    expect(range.toString()).toEqual('late content');
+    expect(range.startContainer).toBe(paragraph.firstChild);
+    expect(document.querySelectorAll('mark').length).toEqual(0);
+  });
+
+  it('stops waiting for matching text', async function() {
+    document.body.innerHTML = __html__['basic-test.html'];
+    spyOn(utils.DocumentTextIndex.prototype, 'disconnect').and.callThrough();
+    const timedOut = utils.waitForTextFragmentMatch(
+        [{textStart: 'missing'}], document, document.body, {timeoutMs: 10});
+    document.body.appendChild(document.createTextNode('Something else.'));
+    await expectAsync(timedOut).toBeResolvedTo(null);
+
+    const controller = new AbortController();
+    const aborted = utils.waitForTextFragmentMatch(
+        [{textStart: 'missing'}], document, document.body,
+        {signal: controller.signal});
+    controller.abort();
+    await expectAsync(aborted).toBeRejectedWith(controller.signal.reason);
+    // The text indexes of the searches stop watching the document.
+    expect(utils.DocumentTextIndex.prototype.disconnect)
+        .toHaveBeenCalledTimes(2);
+  });
+
+  it('marks text fragments again after a re-render', async function() {
+    document.body.innerHTML = '<div id="app"><p>The lazy dog sleeps.</p></div>';
+    const app = document.getElementById('app');
+    const textFragment = {textStart: 'lazy dog'};
+    const onReanchor = jasmine.createSpy('onReanchor');
+    const highlights = new utils.PersistentHighlights(
+        document, document.body, {maxReanchors: 2, onReanchor: onReanchor});
+    const processed =
+        utils.processFragmentDirectives({text: [textFragment]})['text'];
+    highlights.add(textFragment, processed[0]);
+
+    // Renders the paragraph again, as a framework would, dropping the marks,
+    // and waits for the marks to be added back in a later task.
+    const render = async () => {
+      app.innerHTML = '<p>The lazy dog sleeps.</p>';
+      await new Promise((resolve) => window.setTimeout(resolve, 10));
+    };
+
+    await render();
+    expect(marksArrayToString(highlights.getMarks()[0])).toEqual('lazy dog');
+    expect(highlights.getMarks()[0][0].isConnected).toBeTrue();
+    expect(highlights.getRanges()[0].startContainer.parentNode)
+        .toBe(app.firstChild);
+    expect(onReanchor)
+        .toHaveBeenCalledOnceWith(textFragment, highlights.getMarks()[0]);
+
+    // The fragment is no longer watched once it was marked again maxReanchors
+    // times, but its last marks are still listed.
+    await render();
+    expect(document.querySelectorAll('mark').length).toEqual(1);
+    const lastMarks = highlights.getMarks()[0];
+    await render();
+    expect(document.querySelectorAll('mark').length).toEqual(0);
+    expect(highlights.getMarks()).toEqual([lastMarks]);
+    expect(onReanchor).toHaveBeenCalledTimes(2);
+    highlights.disconnect();
+  });
+
+  it('stops looking for text fragments which are gone', async function() {
+    document.body.innerHTML = '<div id="app"><p>The lazy dog sleeps.</p></div>';
+    const app = document.getElementById('app');
+    const textFragment = {textStart: 'lazy dog'};
+    const highlights = new utils.PersistentHighlights(
+        document, document.body, {maxReanchors: 2});
+    const processed =
+        utils.processFragmentDirectives({text: [textFragment]})['text'];
+    highlights.add(textFragment, processed[0]);
+    spyOn(highlights, 'findNearestMatch').and.callThrough();
+
+    // The page keeps changing, but never shows the text again.
+    for (let i = 0; i < 5; i++) {
+      app.innerHTML = `<p>The cat sleeps ${i} times.</p>`;
+      await new Promise((resolve) => window.setTimeout(resolve, 10));
+    }
+    expect(highlights.findNearestMatch).toHaveBeenCalledTimes(2);
+    expect(document.querySelectorAll('mark').length).toEqual(0);
+    highlights.disconnect();
+  });
+
+  it('marks the match nearest to the previous one again', async function() {
+    const html = '<p>The lazy dog sleeps.</p><p>The lazy dog sleeps.</p>' +
+        '<p>The lazy dog wakes up.</p>';
+    document.body.innerHTML = `<div id="app">${html}</div>`;
+    const app = document.getElementById('app');
+    const textFragment = {textStart: 'lazy dog'};
+    const highlights = new utils.PersistentHighlights();
+    const marks = utils.forTesting.markRange(
+        utils.findAllMatches(textFragment)[1], document);
+    highlights.add(textFragment, marks);
+    const waitForReanchor = () =>
+        new Promise((resolve) => window.setTimeout(resolve, 10));
+
+    // The paragraph is gone, so the match nearest in the text is marked.
+    app.innerHTML = html;
+    await waitForReanchor();
+    expect(highlights.getMarks()[0][0].parentNode).toBe(app.children[1]);
+
+    // The paragraph is still there, so its match is marked.
+    app.children[1].textContent = 'The lazy dog sleeps.';
+    await waitForReanchor();
+    expect(highlights.getMarks()[0][0].parentNode).toBe(app.children[1]);
+    expect(document.querySelectorAll('mark').length).toEqual(1);
+    highlights.disconnect();
+  });
+
+  it('highlights text fragments with a custom highlight', function() {
+    document.body.innerHTML = __html__['fuzzy-match.html'];
+    const bodyHtml = document.body.innerHTML;
+    // Stand in for the CSS Custom Highlight API where it's missing.
+    const hadCustomHighlights = utils.supportsCustomHighlights();
+    const originalCSS = window.CSS;
+    const originalHighlight = window.Highlight;
+    if (!hadCustomHighlights) {
+      window.CSS = {highlights: new Map()};
+      window.Highlight = class extends Set {};
+    }
+    try {
+      const processed = utils.processFragmentDirectives(
+          {text: [{textStart: 'lazy dog'}, {textStart: 'missing'}]}, document,
+          document.body, {customHighlight: true});
+      expect(Object.keys(processed)).toEqual(['text']);
+      const [range] = processed['text'][0];
+      expect(range.toString()).toEqual('lazy dog');
+      expect(processed['text'][1]).toEqual([]);
+      expect(document.body.innerHTML).toEqual(bodyHtml);
+      const highlight =
+          window.CSS.highlights.get(utils.TEXT_FRAGMENT_HIGHLIGHT_NAME);
+      expect(Array.from(highlight)).toEqual([range]);
+
+      utils.removeHighlights(processed);
+      expect(window.CSS.highlights.has(utils.TEXT_FRAGMENT_HIGHLIGHT_NAME))
+          .toBeFalse();
+    } finally {
+      if (!hadCustomHighlights) {
+        window.CSS = originalCSS;
+        window.Highlight = originalHighlight;
+      }
+    }
+  });
+
+  it('highlights text fragments with an overlay', function() {
+    document.body.innerHTML = __html__['fuzzy-match.html'];
+    const bodyHtml = document.body.innerHTML;
+
+    const processed = utils.processFragmentDirectives(
+        {text: [{textStart: 'lazy dog'}]}, document, document.body,
+        {overlay: true});
+    const [range] = processed['text'][0];
+    expect(range.toString()).toEqual('lazy dog');
+    expect(document.body.innerHTML).toEqual(bodyHtml);
+    const container = document.querySelector(
+        `.${utils.TEXT_FRAGMENT_OVERLAY_CSS_CLASS_NAME}`);
+    expect(container.parentNode).toBe(document.documentElement);
+
+    utils.removeHighlights(processed);
+    expect(container.isConnected).toBeFalse();
+  });
+
+  it('draws overlay boxes where the ranges are', async function() {
+    document.body.innerHTML = __html__['fuzzy-match.html'];
+    let rects = [{left: 10, top: 20, width: 30, height: 5}];
+    // Stands in for a range, whose client rects are all the overlay reads.
+    const paragraph = document.querySelector('p');
+    const range = {
+      commonAncestorContainer: paragraph,
+      getClientRects: () => rects,
+    };
+    const overlay = new utils.OverlayHighlight(document);
+    const getBoxes = () => overlay.getBoxes().map((box) => {
+      expect(box.className).toEqual(utils.TEXT_FRAGMENT_CSS_CLASS_NAME);
+      return [box.style.left, box.style.top, box.style.width];
+    });
+
+    overlay.add(range);
+    expect(getBoxes()).toEqual([['10px', '20px', '30px']]);
+
+    // The boxes follow the layout.
+    rects = [
+      {left: 50, top: 20, width: 10, height: 5},
+      {left: 0, top: 25, width: 20, height: 5},
+      {left: 0, top: 30, width: 0, height: 5},
+    ];
+    window.dispatchEvent(new Event('resize'));
+    await new Promise((resolve) => window.setTimeout(resolve, 50));
+    expect(getBoxes()).toEqual([
+      ['50px', '20px', '10px'],
+      ['0px', '25px', '20px'],
+    ]);
+
+    // So they do when the text around the range changes.
+    rects = [{left: 15, top: 20, width: 30, height: 5}];
+    paragraph.firstChild.data = 'The quick fox jumps over the lazy dog.';
+    await new Promise((resolve) => window.setTimeout(resolve, 50));
+    expect(getBoxes()).toEqual([['15px', '20px', '30px']]);
+
+    overlay.delete(range);
+    expect(getBoxes()).toEqual([]);
+    expect(document.querySelector(
+               `.${utils.TEXT_FRAGMENT_OVERLAY_CSS_CLASS_NAME}`))
+        .toBeNull();
+  });
+
+  it('creates marks with a custom factory', async function() {
+    const html = '<p>Some other text.</p><p>One <b>two</b> three</p>';
+    document.body.innerHTML = html;
+    const createMark =
+        (documentToProcess, {directiveIndex, isStart, isEnd}) => {
+          const mark = documentToProcess.createElement('span');
+          mark.className = utils.TEXT_FRAGMENT_CSS_CLASS_NAME;
+          mark.dataset.textFragmentIndex = directiveIndex;
+          mark.dataset.part =
+              [isStart && 'start', isEnd && 'end'].filter(Boolean).join(' ');
+          mark.setAttribute('role', 'mark');
+          return mark;
+        };
+    const directives = {
+      text: [
+        {textStart: 'other'},
+        {textStart: 'missing'},
+        {textStart: 'One', textEnd: 'three'},
+      ],
+    };
+    const describeMarks = (marks) => marks.map(
+        (mark) =>
+            [mark.tagName,
+             mark.textContent,
+             mark.dataset.textFragmentIndex,
+             mark.dataset.part,
+    ]);
+    const expectedMarks = [
+      [['SPAN', 'other', '0', 'start end']],
+      [],
+      [
+        ['SPAN', 'One ', '2', 'start'],
+        ['SPAN', 'two', '2', ''],
+        ['SPAN', ' three', '2', 'end'],
+      ],
+    ];
+
+    const processed = utils.processFragmentDirectives(
+        directives, document, document.body, {createMark: createMark});
+    expect(processed['text'].map(describeMarks)).toEqual(expectedMarks);
+    expect(processed['text'][2][1].getAttribute('role')).toEqual('mark');
+    utils.removeHighlights(processed);
+    expect(document.body.innerHTML).toEqual(html);
+
+    const processedAsync = await utils.processFragmentDirectivesAsync(
+        directives, document, document.body, {createMark: createMark});
+    expect(processedAsync['text'].map(describeMarks)).toEqual(expectedMarks);
+    utils.removeMarks(processedAsync['text'].flat());
+    expect(document.body.innerHTML).toEqual(html);
+  });
+
+  it('removes the highlights of processed directives', function() {
+    document.body.innerHTML = __html__['selector-directive.html'];
+    const bodyHtml = document.body.innerHTML;
+    const processed =
+        utils.processFragmentDirectives(utils.parseFragmentDirectives({
+          text: ['Revenue'],
+          selector: ['type=CssSelectorSelector,value=td.total'],
+        }));
+    expect(document.querySelectorAll('mark').length).toEqual(1);
+
+    utils.removeHighlights(processed);
+    expect(document.querySelectorAll('mark').length).toEqual(0);
+    expect(document.querySelectorAll(`.${utils.TARGET_ELEMENT_CSS_CLASS_NAME}`)
+               .length)
+        .toEqual(0);
+    expect(document.body.innerHTML.replace(/ class=""/g, '')).toEqual(bodyHtml);
+  });
+
+  it('stops processing directives synchronously when aborted', function() {
+    document.body.innerHTML = __html__['fuzzy-match.html'];
+    const controller = new AbortController();
+    const reason = new Error('The selection changed.');
+    controller.abort(reason);
+
+    expect(
+        () => utils.processTextFragmentDirective(
+            {textStart: 'lazy dog'}, document, document.body,
+            {signal: controller.signal}))
+        .toThrow(reason);
+    expect(
+        () => utils.processFragmentDirectives(
+            {text: [{textStart: 'lazy dog'}]}, document, document.body,
+            {signal: controller.signal}))
+        .toThrow(reason);
+    expect(document.querySelectorAll('mark').length).toEqual(0);
+  });
+
+  it('processes directives asynchronously', async function() {
+    document.body.innerHTML = __html__['fuzzy-match.html'];
+    const directives = {
+      text: [{textStart: 'lazy dog'}, {textStart: 'missing'}],
+      unknown: [{}],
+    };
+
+    const processed = await utils.processFragmentDirectivesAsync(directives);
+    expect(Object.keys(processed)).toEqual(['text']);
+    expect(processed['text'].length).toEqual(2);
+    expect(marksArrayToString(processed['text'][0])).toEqual('lazy dog');
+    expect(processed['text'][1]).toEqual([]);
+  });
+
+  it('stops processing directives when aborted', async function() {
+    document.body.innerHTML = __html__['fuzzy-match.html'];
+    const directives = {text: [{textStart: 'lazy dog'}]};
+
+    const controller = new AbortController();
+    const processing = utils.processFragmentDirectivesAsync(
+        directives, document, document.body, {signal: controller.signal});
+    controller.abort();
+    await expectAsync(processing).toBeRejectedWith(controller.signal.reason);
+    expect(document.querySelectorAll('mark').length).toEqual(0);
+
+    await expectAsync(
+        utils.processFragmentDirectivesAsync(
+            directives, document, document.body, {signal: controller.signal}))
+        .toBeRejected();
+  });
+
+  it('removes the highlights made before being aborted', async function() {
+    document.body.innerHTML = __html__['fuzzy-match.html'];
+    const directives = {text: [{textStart: 'lazy dog'}, {textStart: 'box'}]};
+
+    // Abort once the first directive is being highlighted.
+    const controller = new AbortController();
+    const reason = new Error('The URL changed.');
+    const createMark = (documentToProcess) => {
+      controller.abort(reason);
+      const mark = documentToProcess.createElement('mark');
+      mark.classList.add(utils.TEXT_FRAGMENT_CSS_CLASS_NAME);
+      return mark;
+    };
+    await expectAsync(utils.processFragmentDirectivesAsync(
+                          directives, document, document.body,
+                          {signal: controller.signal, createMark: createMark}))
+        .toBeRejectedWith(reason);
+    expect(document.querySelectorAll('mark').length).toEqual(0);
+    expect(document.body.innerHTML).toEqual(__html__['fuzzy-match.html']);
+  });
+
+  it('highlights approximate matches when enabled', function() {
+    document.body.innerHTML = __html__['fuzzy-match.html'];
+    const directives = {
+      text: [{textStart: 'lazy dog'}, {textStart: 'five dozan'}],
+    };
+
+    expect(utils.processFragmentDirectives(directives)['text'][1]).toEqual([]);
+
+    const processed = utils.processFragmentDirectives(
+        directives, document, document.body, {fuzzyMinScore: 0.8});
+    const [exactMarks, fuzzyMarks] = processed['text'];
+    expect(marksArrayToString(exactMarks)).toEqual('lazy dog');
+    expect(exactMarks[0].hasAttribute(utils.FUZZY_MATCH_SCORE_ATTRIBUTE))
+        .toBeFalse();
+    expect(marksArrayToString(fuzzyMarks)).toEqual('five dozen');
+    expect(fuzzyMarks[0].getAttribute(utils.FUZZY_MATCH_SCORE_ATTRIBUTE))
+        .toEqual('0.90');
+  });
+
+  it('matches typographic variants of the text', function() {
+    document.body.innerHTML = __html__['typography.html'];
+    const find = (textStart) =>
+        utils.processTextFragmentDirective({textStart: textStart})
+            .map((range) => range.toString());
+
+    expect(find('It\'s')).toEqual(['It’s']);
+    expect(find('"fact"')).toEqual(['“fact”']);
+    // The dashes are split across two text nodes.
+    expect(find('well--known')).toEqual(['well——known']);
+    expect(find('well-known')).toEqual(['well——known']);
+    expect(find('strasse')).toEqual(['Straße']);
+    expect(find('oeuvre, final')).toEqual(['œuvre, ﬁnal']);
+    expect(find('10 km')).toEqual(['10\u00a0km']);
+  });
+
+  it('ignores invisible formatting characters', function() {
+    document.body.innerHTML = __html__['invisible-chars.html'];
+
+    const shyMatches = utils.processTextFragmentDirective(
+        {textStart: 'Donaudampfschifffahrt'});
+    expect(shyMatches.length).toEqual(1);
+    expect(shyMatches[0].toString())
+        .toEqual('Donau\u00addampf\u00adschiff\u00adfahrt');
+
+    // Invisible chars at the edges of the match are left out of it.
+    const textNode = document.getElementById('zw').firstChild;
+    let range =
+        utils.processTextFragmentDirective({textStart: 'zerowidthchars'})[0];
+    expect(range.startOffset).toEqual(0);
+    expect(range.endOffset).toEqual(16);
+    range = utils.processTextFragmentDirective({textStart: 'are'})[0];
+    expect(range.startContainer).toBe(textNode);
+    expect(range.startOffset).toEqual(18);
+    expect(range.endOffset).toEqual(21);
+  });
+
+  it('matches text with custom normalization options', function() {
+    document.body.innerHTML = __html__['normalization.html'];
+    const find = (textFragment, normalization) =>
+        utils
+            .processTextFragmentDirective(
+                textFragment, document, document.body,
+                {normalization: normalization})
+            .map((range) => range.toString());
+
+    // By default, I and İ both fold to i. In Turkish, I folds to ı instead.
+    expect(find({textStart: 'istanbul'})).toEqual(['Istanbul', 'İstanbul']);
+    expect(find({textStart: 'istanbul'}, {locale: 'tr'})).toEqual([
+      'İstanbul',
+    ]);
+    expect(find({textStart: 'ıstanbul'}, {locale: 'tr'})).toEqual([
+      'Istanbul',
+    ]);
+
+    // The final sigma matches the regular one.
+    expect(find({textStart: 'σοφοσ'})).toEqual(['Σοφός', 'ΣΟΦΟΣ']);
+    expect(find({textStart: 'ΣΟΦΟΣ'}, {stripDiacritics: false})).toEqual([
+      'ΣΟΦΟΣ',
+    ]);
+
+    expect(find({textStart: 'ma'})).toEqual(['Má', 'ma']);
+    expect(find({textStart: 'mà'}, {stripDiacritics: false})).toEqual(['mà']);
+
+    expect(find({textStart: 'apple'}, {caseSensitive: true})).toEqual([
+      'apple',
+    ]);
+  });
+
+  it('only searches a text index with the same normalization', function() {
+    document.body.innerHTML = __html__['normalization.html'];
+    const textIndex = new utils.DocumentTextIndex(document.body);
+    const normalization = {caseSensitive: true};
+    expect(utils
+               .findAllMatches({textStart: 'Apple'}, {
+                 textIndex: textIndex,
+                 normalization: normalization,
+               })
+               .map((range) => range.toString()))
+        .toEqual(['Apple']);
+    const fuzzyMatch = utils.findFuzzyMatch({textStart: 'apple apple'}, {
+      textIndex: textIndex,
+      normalization: normalization,
+    });
+    expect(fuzzyMatch.range.toString()).toEqual('Apple apple');
+    expect(fuzzyMatch.score).toBeCloseTo(1 - 1 / 11);
+    textIndex.disconnect();
+  });
+
+  it('finds and marks text in open shadow roots', function() {
+    document.body.innerHTML = __html__['shadow-dom.html'];
+    const shadowRoot =
+        document.getElementById('host').attachShadow({mode: 'open'});
+    shadowRoot.innerHTML = 'some <i>hidden</i> words';
+
+    // Matches crossing into a shadow tree can't be Ranges.
+    let matches = utils.findAllMatches({textStart: 'hidden words from'});
+    expect(matches.length).toEqual(1);
+    expect(matches[0] instanceof StaticRange).toBeTrue();
+    expect(matches[0].startContainer)
+        .toBe(shadowRoot.querySelector('i').firstChild);
+
+    matches = utils.findAllMatches({prefix: 'keep', textStart: 'some hidden'});
+    expect(matches.length).toEqual(1);
+    expect(matches[0] instanceof Range).toBeTrue();
+
+    const processed = utils.processFragmentDirectives(
+        {text: [{textStart: 'Components', textEnd: 'hidden words'}]});
+    const marks = processed['text'][0];
+    expect(marksArrayToString(marks))
+        .toEqual('Components keep some hidden words');
+    expect(marks.filter((mark) => mark.getRootNode() === shadowRoot).length)
+        .toEqual(3);
+
+    utils.removeMarks(marks);
+    expect(shadowRoot.innerHTML).toEqual('some <i>hidden</i> words');
+  });
+
+  it('matches slotted content in flat tree order', function() {
+    document.body.innerHTML = __html__['shadow-dom.html'];
+    const shadowRoot =
+        document.getElementById('card').attachShadow({mode: 'open'});
+    shadowRoot.innerHTML = '<h2>Title</h2><p>Before <slot></slot> after</p>';
+
+    const matches =
+        utils.findAllMatches({textStart: 'Before light slotted words after'});
+    expect(matches.length).toEqual(1);
+    expect(utils.findAllMatches({textStart: 'Title Before'}).length).toEqual(0);
+    expect(utils.findAllMatches({prefix: 'Title', textStart: 'Before'}).length)
+        .toEqual(1);
+
+    const textIndex = new utils.DocumentTextIndex(document.body);
+    try {
+      const found =
+          utils.findAllMatches({textStart: 'slotted words after'}, {textIndex});
+      expect(found.length).toEqual(1);
+
+      shadowRoot.querySelector('p').lastChild.data = ' later';
+      expect(utils
+                 .findAllMatches({textStart: 'slotted words later'}, {
+                   textIndex,
+                 })
+                 .length)
+          .toEqual(1);
+    } finally {
+      textIndex.disconnect();
+    }
+  });
+
+  it('uses native tree walkers where there are no shadow roots', function() {
+    document.body.innerHTML = '<p>Only <b>light</b> DOM</p>';
+    const walker = utils.internal.createFlatTreeWalker(document.body);
+    expect(walker instanceof TreeWalker).toBeTrue();
+    expect(walker.nextNode()).toBe(document.querySelector('p'));
+  });
+
+  it('finds and highlights text in same-origin iframes', function() {
+    document.body.innerHTML = '<p>Text of the page.</p><iframe></iframe>';
+    const frameDocument = document.querySelector('iframe').contentDocument;
+    frameDocument.body.innerHTML = '<p>Text of the <b>help</b> widget.</p>';
+
+    // Ranges are created in the realm of the iframe.
+    const ranges = utils.processTextFragmentDirective(
+        {textStart: 'the help widget'}, frameDocument, frameDocument.body);
+    expect(ranges.length).toEqual(1);
+    expect(ranges[0] instanceof frameDocument.defaultView.Range).toBeTrue();
+
+    const directives = {
+      text: [{textStart: 'help widget'}, {textStart: 'Text of the'}],
+    };
+    expect(utils.processFragmentDirectives(directives)['text'][0]).toEqual([]);
+
+    const [frameMarks, pageMarks] = utils.processFragmentDirectives(
+        directives, document, document.body, {searchIframes: true})['text'];
+    expect(marksArrayToString(frameMarks)).toEqual('help widget');
+    expect(frameMarks[0].ownerDocument).toBe(frameDocument);
+    expect(marksArrayToString(pageMarks)).toEqual('Text of the');
+    expect(pageMarks[0].ownerDocument).toBe(document);
+  });
+
+  it('finds text in closed details and opens them when scrolling',
+     async function() {
+       document.body.innerHTML = __html__['details.html'];
+       const shipping = document.getElementById('shipping');
+       const international = document.getElementById('international');
+       const toggled = new Promise((resolve) => {
+         international.addEventListener('toggle', resolve);
+       });
+
+       const marks = utils.processFragmentDirectives(
+           {text: [{textStart: 'Customs fees may apply'}]})['text'][0];
+       expect(marksArrayToString(marks)).toEqual('Customs fees may apply');
+       expect(shipping.open).toBeFalse();
+
+       marks[0].scrollIntoView =
+           jasmine.createSpy('scrollIntoView').and.callFake(() => {
+             expect(shipping.open).toBeTrue();
+             expect(international.open).toBeTrue();
+           });
+       utils.scrollElementIntoView(marks[0]);
+       expect(marks[0].scrollIntoView).toHaveBeenCalled();
+       await toggled;
+     });
+
+  it('does not find hidden elements in closed details', function() {
+    document.body.innerHTML = __html__['details.html'];
+    document.querySelector('#international p').style.display = 'none';
+    document.querySelector('#shipping > p').style.visibility = 'hidden';
+
+    expect(utils.findAllMatches({textStart: 'Customs fees'}).length).toEqual(0);
+    expect(utils.findAllMatches({textStart: 'Orders ship'}).length).toEqual(0);
+    expect(utils.findAllMatches({textStart: 'International orders'}).length)
+        .toEqual(1);
+  });
+
+  it('finds the same matches with a text index', function() {
+    document.body.innerHTML = __html__['complicated-layout.html'];
+    const textIndex = new utils.DocumentTextIndex(document.body);
+    const fragments = [
+      {textStart: 'a'},
+      {textStart: 'This', textEnd: 'layout'},
+      {prefix: 'a', textStart: 'very'},
+      {textStart: 'does not', suffix: 'exist'},
+    ];
+    try {
+      for (const fragment of fragments) {
+        const withoutIndex = utils.findAllMatches(fragment);
+        const withIndex = utils.findAllMatches(fragment, {textIndex});
+        expect(withIndex.length).toEqual(withoutIndex.length);
+        for (let i = 0; i < withIndex.length; i++) {
+          expect(withIndex[i].compareBoundaryPoints(
+                     Range.START_TO_START, withoutIndex[i]))
+              .toEqual(0);
+          expect(withIndex[i].compareBoundaryPoints(
+                     Range.END_TO_END, withoutIndex[i]))
+              .toEqual(0);
+        }
+      }
+    } finally {
+      textIndex.disconnect();
+    }
+  });
+
+  it('keeps a text index up to date with DOM changes', function() {
+    document.body.innerHTML = __html__['text-index.html'];
+    const textIndex = new utils.DocumentTextIndex(document.body);
+    const find = (textStart) => utils.findAllMatches({textStart}, {textIndex})
+                                    .map((range) => range.toString());
+    const blockTexts = () => {
+      const range = document.createRange();
+      range.selectNodeContents(document.body);
+      // Whitespace between the elements forms blocks of its own.
+      return textIndex.getBlocksInRange(range)
+          .map((block) => block.text.trim())
+          .filter((text) => text);
+    };
+
+    try {
+      expect(blockTexts()).toEqual([
+        'alpha beta', 'gamma delta', 'epsilon and beta'
+      ]);
+      const blockWithText = (text) =>
+          textIndex.blocks.find((block) => block.text.trim() === text);
+      const alphaBlock = blockWithText('alpha beta');
+      const epsilonBlock = blockWithText('epsilon and beta');
+
+      // Only the block around a change is rebuilt.
+      document.querySelector('#b i').textContent = 'zeta';
+      expect(find('zeta')).toEqual(['zeta']);
+      expect(find('delta')).toEqual([]);
+      expect(blockWithText('alpha beta')).toBe(alphaBlock);
+      expect(blockWithText('epsilon and beta')).toBe(epsilonBlock);
+
+      // Added and removed elements.
+      const p = document.createElement('p');
+      p.textContent = 'New beta';
+      document.getElementById('first').appendChild(p);
+      expect(find('beta')).toEqual(['beta', 'beta', 'beta']);
+      document.getElementById('a').remove();
+      expect(blockTexts()).toEqual([
+        'gamma zeta', 'new beta', 'epsilon and beta'
+      ]);
+      expect(textIndex.blocks[2]).toBe(epsilonBlock);
+
+      // Elements being hidden.
+      document.getElementById('c').style.display = 'none';
+      expect(find('epsilon')).toEqual([]);
+      expect(blockTexts()).toEqual(['gamma zeta', 'new beta']);
+    } finally {
+      textIndex.disconnect();
+    }
+  });
+
   it('can distinguish ambiguous matches using a prefix/suffix', function() {
     document.body.innerHTML = window.__html__['ambiguous-match.html'];
     const directives =
@@ -262,6 +1291,12 @@ describe('TextFragmentUtils', function() {
       // Turkish has separate letters I/İ; since we don't have a
       // high-confidence locale, we normalize both of these to 'i'.
       'İstanbul Istanbul': 'istanbul istanbul',
+      // Typographic variants are folded, and runs of dashes collapsed.
+      '‘It’s’ “quoted”': '\'it\'s\' "quoted"',
+      'well\u2014known -- 1\u22122': 'well-known - 1-2',
+      'Straße, Œuvre, ﬁnal': 'strasse, oeuvre, final',
+      // Invisible formatting characters are removed.
+      'soft\u00adhyphen zero\u200bwidth \ufeffbom': 'softhyphen zerowidth bom',
     };
 
     for (const input of Object.getOwnPropertyNames(testCases)) {
@@ -269,6 +1304,50 @@ describe('TextFragmentUtils', function() {
     }
   });
 
+  it('normalizes strings with options', function() {
+    const normalizeString = utils.forTesting.normalizeString;
+    expect(normalizeString('İstanbul Istanbul', {
+      locale: 'tr'
+    })).toEqual('istanbul ıstanbul');
+    expect(normalizeString('Ὀδυσσεύς', {
+      stripDiacritics: false
+    })).toEqual('ὀδυσσεύσ'.normalize('NFKD'));
+    expect(normalizeString('ΟΔΥΣΣΕΥΣ')).toEqual('οδυσσευσ');
+    expect(normalizeString('Σοφός', {caseSensitive: true})).toEqual('Σοφοσ');
+    expect(normalizeString(' Tiếng  Việt', {
+      caseSensitive: true
+    })).toEqual(' Tieng Viet');
+  });
+
+  it('maps normalized strings to the original ones', function() {
+    const normalized =
+        utils.forTesting.normalizeStringWithOffsets('ﬁ한  Ａ\u00ad-');
+    expect(normalized.text).toEqual('fi\u1112\u1161\u11ab a-');
+    // Each char points to the grapheme cluster it comes from. Collapsed
+    // whitespace and invisible chars don't have chars of their own.
+    expect(normalized.starts).toEqual([0, 0, 1, 1, 1, 2, 4, 6]);
+    expect(normalized.ends).toEqual([1, 1, 2, 2, 2, 3, 5, 7]);
+  });
+
+  it('finds text whose length changes when normalized', function() {
+    document.body.innerHTML = __html__['offset-mapping.html'];
+    const textNode = document.body.firstChild.firstChild;
+    const find = (textStart) => {
+      const range = utils.processTextFragmentDirective({textStart})[0];
+      expect(range.startContainer).toBe(textNode);
+      return [range.toString(), range.startOffset, range.endOffset];
+    };
+
+    expect(find('full-width text')).toEqual(['Ｆｕｌｌ-width ＴＥＸＴ', 0, 15]);
+    expect(find('final 한국어')).toEqual(['ﬁnal 한국어', 21, 29]);
+    expect(find('문장')).toEqual(['문장', 30, 32]);
+
+    // Offsets within a cluster are moved to its edges.
+    const boundaryPoint = utils.forTesting.getBoundaryPointAtIndex(
+        'full-width text, the f'.length, [textNode], /* isEnd= */ false);
+    expect(boundaryPoint.offset).toEqual(21);
+  });
+
   it('can advance a range start past an offset', function() {
     document.body.innerHTML = __html__['marks-test.html'];
     const range = document.createRange();
@@ -0,0 +1,269 @@
+import * as generationUtils from '../../src/fragment-generation-utils.js';
+import * as utils from '../../src/text-fragment-utils.js';
+import * as worker from '../../src/text-fragment-worker.js';
+import {marksArrayToString} from '../utils/marksArrayToString.js';
+
+/**
+ * Stands in for a worker running text-fragment-worker.js: messages are cloned
+ * and handled in a later task, as they would be by a worker, but on the main
+ * thread.
+ */
+const FakeWorker = class extends EventTarget {
+  postMessage(message) {
+    const data = structuredClone(message);
+    window.setTimeout(() => {
+      const response = worker.forTesting.handleMessage(data);
+      if (response != null) {
+        this.dispatchEvent(new MessageEvent('message', {data: response}));
+      }
+    });
+  }
+};
+
+/**
+ * @param {AbstractRange} range
+ * @return {Array} - the boundary points of |range|.
+ */
+const toBoundaryPoints = (range) => {
+  return [
+    range.startContainer,
+    range.startOffset,
+    range.endContainer,
+    range.endOffset,
+  ];
+};
+
+describe('TextFragmentWorker', function() {
+  let matcher;
+
+  beforeEach(function() {
+    generationUtils.setTimeout(500);
+  });
+
+  afterEach(function() {
+    if (matcher != null) {
+      matcher.disconnect();
+      matcher = null;
+    }
+  });
+
+  it('finds the same matches as the DOM search', async function() {
+    const fixtures = {
+      'all-matches.html': [
+        {textStart: 'cat'},
+        {textStart: 'the cat'},
+        {prefix: 'The', textStart: 'cat'},
+        {textStart: 'cat', suffix: 'again'},
+        {textStart: 'The', textEnd: 'cat'},
+        {textStart: 'cat', textEnd: 'again'},
+        {prefix: 'and', textStart: 'the', textEnd: 'cat', suffix: 'again'},
+        {textStart: 'a'},
+        {textStart: 'dog'},
+      ],
+      'ambiguous-match.html': [
+        {prefix: 'prefix1', textStart: 'target', suffix: 'suffix2'},
+        {prefix: 'prefix2', textStart: 'target'},
+        {textStart: 'start', textEnd: 'end', suffix: 'suffix'},
+      ],
+      'offset-mapping.html': [
+        {textStart: 'full-width text'},
+        {prefix: 'the', textStart: 'final', textEnd: '문장'},
+      ],
+    };
+    for (const [fixture, textFragments] of Object.entries(fixtures)) {
+      document.body.innerHTML = __html__[fixture];
+      matcher = new utils.WorkerTextMatcher(new FakeWorker());
+      for (const textFragment of textFragments) {
+        const allMatches = await matcher.findMatches(textFragment);
+        expect(allMatches.map(toBoundaryPoints))
+            .withContext(`${fixture}: ${JSON.stringify(textFragment)}`)
+            .toEqual(utils.findAllMatches(textFragment).map(toBoundaryPoints));
+
+        const ambiguousMatches = await matcher.findMatches(
+            textFragment, {limit: 2, distinctMatches: false});
+        expect(ambiguousMatches.map(toBoundaryPoints))
+            .withContext(`${fixture}: ${JSON.stringify(textFragment)}`)
+            .toEqual(utils.processTextFragmentDirective(textFragment)
+                         .map(toBoundaryPoints));
+      }
+      matcher.disconnect();
+      matcher = null;
+    }
+  });
+
+  it('sends the text again after the DOM changes', async function() {
+    document.body.innerHTML = __html__['text-index.html'];
+    const fakeWorker = new FakeWorker();
+    spyOn(fakeWorker, 'postMessage').and.callThrough();
+    const countSnapshots = () =>
+        fakeWorker.postMessage.calls.allArgs()
+            .filter(([message]) => message.type === 'snapshot')
+            .length;
+    matcher = new utils.WorkerTextMatcher(
+        fakeWorker, document.body, {normalization: {caseSensitive: true}});
+
+    expect((await matcher.findMatches({textStart: 'beta'})).length).toEqual(2);
+    expect((await matcher.findMatches({textStart: 'Beta'})).length).toEqual(0);
+    expect(countSnapshots()).toEqual(1);
+
+    document.getElementById('a').firstChild.data = 'Alpha Beta';
+    const matches = await matcher.findMatches({textStart: 'Beta'});
+    expect(matches.map((range) => range.toString())).toEqual(['Beta']);
+    expect(matches[0].startContainer)
+        .toBe(document.getElementById('a').firstChild);
+    expect(countSnapshots()).toEqual(2);
+  });
+
+  it('searches the DOM if it keeps changing during searches', async function() {
+    document.body.innerHTML = __html__['text-index.html'];
+    const fakeWorker = new FakeWorker();
+    spyOn(fakeWorker, 'postMessage').and.callFake((message) => {
+      if (message.type === 'match') {
+        document.body.appendChild(document.createComment('re-render'));
+      }
+      FakeWorker.prototype.postMessage.call(fakeWorker, message);
+    });
+    matcher = new utils.WorkerTextMatcher(fakeWorker);
+
+    const matches = await matcher.findMatches({textStart: 'beta'});
+    expect(matches.map(toBoundaryPoints))
+        .toEqual(
+            utils.findAllMatches({textStart: 'beta'}).map(toBoundaryPoints));
+    expect(fakeWorker.postMessage.calls.allArgs()
+               .filter(([message]) => message.type === 'match')
+               .length)
+        .toEqual(3);
+  });
+
+  it('processes text directives on the main thread if the worker fails',
+     async function() {
+       document.body.innerHTML = __html__['fuzzy-match.html'];
+       const fakeWorker = new FakeWorker();
+       spyOn(fakeWorker, 'postMessage').and.callFake(() => {
+         window.setTimeout(() => fakeWorker.dispatchEvent(new Event('error')));
+       });
+       matcher = new utils.WorkerTextMatcher(fakeWorker);
+
+       const processed = await utils.processFragmentDirectivesAsync(
+           {text: [{textStart: 'lazy dog'}, {textStart: 'quick'}]}, document,
+           document.body, {matcher: matcher});
+       expect(marksArrayToString(processed['text'][0])).toEqual('lazy dog');
+       expect(marksArrayToString(processed['text'][1])).toEqual('quick');
+     });
+
+  it('answers searches with node offsets or an error', function() {
+    expect(
+        worker.forTesting.handleMessage({type: 'snapshot', blocks: [['a b']]}))
+        .toBeUndefined();
+    expect(worker.forTesting.handleMessage({
+      type: 'match',
+      id: 1,
+      textFragment: {textStart: 'b'},
+      limit: 2,
+      distinctMatches: false,
+    })).toEqual({
+      id: 1,
+      matches: [{
+        start: {block: 0, node: 0, offset: 2},
+        end: {block: 0, node: 0, offset: 3},
+      }],
+    });
+
+    const response = worker.forTesting.handleMessage(
+        {type: 'match', id: 2, textFragment: null, limit: 2});
+    expect(response.id).toEqual(2);
+    expect(response.error).toBeDefined();
+  });
+
+  it('processes text directives with a matcher', async function() {
+    document.body.innerHTML = __html__['fuzzy-match.html'];
+    matcher = new utils.WorkerTextMatcher(new FakeWorker());
+    const directives = {
+      text: [{textStart: 'lazy dog'}, {textStart: 'missing'}],
+    };
+
+    const processed = await utils.processFragmentDirectivesAsync(
+        directives, document, document.body, {matcher: matcher});
+    expect(processed['text'].length).toEqual(2);
+    expect(marksArrayToString(processed['text'][0])).toEqual('lazy dog');
+    expect(processed['text'][1]).toEqual([]);
+  });
+
+  it('keeps searching the same text after highlighting', async function() {
+    document.body.innerHTML = __html__['fuzzy-match.html'];
+    const fakeWorker = new FakeWorker();
+    spyOn(fakeWorker, 'postMessage').and.callThrough();
+    matcher = new utils.WorkerTextMatcher(fakeWorker);
+    // The marks of each directive split the text nodes the next ones are in.
+    const directives = {
+      text: [
+        {textStart: 'lazy dog'},
+        {textStart: 'jumps over'},
+        {textStart: 'dog.'},
+        {textStart: 'The quick', textEnd: 'box'},
+      ],
+    };
+
+    const processed = await utils.processFragmentDirectivesAsync(
+        directives, document, document.body, {matcher: matcher});
+    expect(processed['text'].map(marksArrayToString)).toEqual([
+      'lazy dog',
+      'jumps over',
+      'dog.',
+      'The quick brown fox jumps over the lazy dog. Pack my box',
+    ]);
+    expect(fakeWorker.postMessage.calls.allArgs()
+               .filter(([message]) => message.type === 'snapshot')
+               .length)
+        .toEqual(1);
+
+    const markedHtml = document.body.innerHTML;
+    document.body.innerHTML = __html__['fuzzy-match.html'];
+    utils.processFragmentDirectives(directives);
+    expect(markedHtml).toEqual(document.body.innerHTML);
+  });
+
+  it('stops searching with a matcher when aborted', async function() {
+    document.body.innerHTML = __html__['fuzzy-match.html'];
+    const fakeWorker = new FakeWorker();
+    // The worker never answers.
+    spyOn(fakeWorker, 'postMessage');
+    matcher = new utils.WorkerTextMatcher(fakeWorker);
+    const controller = new AbortController();
+    const reason = new Error('The URL changed.');
+
+    const search = matcher.findMatches(
+        {textStart: 'lazy dog'}, {signal: controller.signal});
+    controller.abort(reason);
+    await expectAsync(search).toBeRejectedWith(reason);
+  });
+
+  it('generates fragments with a matcher', async function() {
+    document.body.innerHTML = __html__['ambiguous-match.html'];
+    matcher = new utils.WorkerTextMatcher(new FakeWorker());
+    const range = document.createRange();
+    range.selectNodeContents(document.getElementById('target3'));
+
+    const result = await generationUtils.generateFragmentFromRangeAsync(
+        range, Date.now(), {matcher: matcher});
+    expect(result.status)
+        .toEqual(generationUtils.GenerateFragmentStatus.SUCCESS);
+    expect(result.fragment)
+        .toEqual(generationUtils.generateFragmentFromRange(range).fragment);
+  });
+
+  it('stops generating fragments with a matcher when aborted',
+     async function() {
+       document.body.innerHTML = __html__['ambiguous-match.html'];
+       matcher = new utils.WorkerTextMatcher(new FakeWorker());
+       const range = document.createRange();
+       range.selectNodeContents(document.getElementById('target3'));
+       const controller = new AbortController();
+
+       const generation = generationUtils.generateFragmentFromRangeAsync(
+           range, Date.now(), {matcher: matcher, signal: controller.signal});
+       controller.abort();
+       expect((await generation).status)
+           .toEqual(generationUtils.GenerateFragmentStatus.ABORTED);
+     });
+});